@@ -2,122 +2,395 @@
  * FastStream Mobile - Buffer Manager
  * Implements a Ring Buffer using IndexedDB to store video segments.
  * optimized for mobile (Low RAM usage).
+ * Full buffers evict least-recently-used segments (timestamp index, refreshed on stale reads).
+ * One budget covers the whole store (all tabs), sized from navigator.storage.estimate().
  */
 
 const DB_NAME = 'FastStreamDB';
-const DB_VERSION = 1;
+const DB_VERSION = 3; // v2: timestamp / streamId / tabId indexes, v3: size index
 const STORE_NAME = 'segments';
-const MAX_BUFFER_SIZE_MB = 500; // 500MB max storage per tab
+
+// Budget = min(user cap, what we hold + a share of the device's free space)
+const DEFAULT_BUFFER_CAP_MB = 500; // Overridable via chrome.storage.local 'bufferCapMB'
+const MIN_BUFFER_SIZE_MB = 32; // Below this playback can't keep any lookahead
+const FREE_SPACE_SHARE = 0.5; // Never take more than half of what is left on the device
+const BUDGET_TTL_MS = 30000; // estimate() is not free; re-check twice a minute
+const QUOTA_RETRIES = 3;
+// Refreshing recency rewrites the whole record: only when it has gone stale
+const RECENCY_REFRESH_MS = 30000;
+
+// Shared by every BufferManager (and the orphan sweep): one connection, one size count
+let dbPromise = null;
+let storeSize = 0; // Bytes in the store, rebuilt from the DB when it is first opened
+let budget = null; // { bytes, expires }
 
 export class BufferManager {
     constructor(tabId) {
         this.tabId = tabId;
         this.db = null;
-        this.currentSize = 0;
     }
 
     /**
      * Initialize IndexedDB
      */
     async init() {
-        return new Promise((resolve, reject) => {
-            const request = indexedDB.open(DB_NAME, DB_VERSION);
-
-            request.onerror = (event) => reject('IndexedDB error: ' + event.target.errorCode);
-
-            request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                if (!db.objectStoreNames.contains(STORE_NAME)) {
-                    // keyPath: [tabId, streamId, segmentId]
-                    db.createObjectStore(STORE_NAME, { keyPath: 'id' });
-                }
-            };
-
-            request.onsuccess = (event) => {
-                this.db = event.target.result;
-                resolve();
-            };
-        });
+        this.db = await openDatabase();
     }
 
     /**
      * Store a segment in IndexedDB
-     * @param {string} streamId 
-     * @param {number} segmentId 
-     * @param {ArrayBuffer} data 
+     * @param {string} streamId
+     * @param {number|string} segmentId
+     * @param {ArrayBuffer} data
+     * @param {{pinned?: boolean}} options - Pinned segments (fMP4 init segments) are never
+     *   evicted: media segments that were evicted get downloaded again, inits are not.
      */
-    async storeSegment(streamId, segmentId, data) {
+    async storeSegment(streamId, segmentId, data, { pinned = false } = {}) {
         if (!this.db) await this.init();
 
         const size = data.byteLength;
 
-        // Eviction logic: If full, remove oldest segments for this tab
-        if (this.currentSize + size > (MAX_BUFFER_SIZE_MB * 1024 * 1024)) {
-            await this._evictOldest(streamId);
+        // Eviction logic: If full, remove least recently used segments (any tab)
+        const limit = await getBudget();
+        if (storeSize + size > limit) {
+            await this._evictOldest(storeSize + size - limit);
         }
 
+        const record = {
+            id: `${this.tabId}_${streamId}_${segmentId}`,
+            tabId: this.tabId,
+            streamId: streamId,
+            segmentId: segmentId,
+            data: data,
+            size: size,
+            pinned: pinned,
+            timestamp: Date.now()
+        };
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this._put(record);
+            } catch (err) {
+                if (err?.name !== 'QuotaExceededError' || attempt >= QUOTA_RETRIES) throw err;
+
+                // The device filled up before our budget did: shrink the budget to what
+                // we hold now, make room and try again
+                console.warn(`[BufferManager] Storage quota exceeded, evicting (attempt ${attempt + 1})`);
+                budget = { bytes: Math.max(MIN_BUFFER_SIZE_MB * 1024 * 1024, storeSize), expires: Date.now() + BUDGET_TTL_MS };
+                await this._evictOldest(Math.max(size, storeSize * 0.1));
+            }
+        }
+    }
+
+    _put(record) {
         return new Promise((resolve, reject) => {
             const transaction = this.db.transaction([STORE_NAME], 'readwrite');
             const store = transaction.objectStore(STORE_NAME);
+            let replaced = 0;
 
-            const record = {
-                id: `${this.tabId}_${streamId}_${segmentId}`,
-                tabId: this.tabId,
-                streamId: streamId,
-                segmentId: segmentId,
-                data: data,
-                timestamp: Date.now()
+            // Re-downloads (seek back, quality switch) overwrite: only count the difference
+            const existing = store.get(record.id);
+            existing.onsuccess = () => {
+                replaced = existing.result ? recordSize(existing.result) : 0;
+                store.put(record);
             };
 
-            const request = store.put(record);
-
-            request.onsuccess = () => {
-                this.currentSize += size;
+            // Quota errors abort the transaction, so settle on the transaction, not the request
+            transaction.oncomplete = () => {
+                storeSize += record.size - replaced;
                 resolve();
             };
-            request.onerror = () => reject(request.error);
+            transaction.onabort = () => reject(transaction.error);
         });
     }
 
     /**
-     * Retrieve a segment
-     * @param {string} streamId 
-     * @param {number} segmentId 
+     * Retrieve a segment. Reading marks it as recently used (at most every
+     * RECENCY_REFRESH_MS, see _touch).
+     * @param {string} streamId
+     * @param {number|string} segmentId
      */
     async getSegment(streamId, segmentId) {
         if (!this.db) await this.init();
 
+        const key = `${this.tabId}_${streamId}_${segmentId}`;
+        const record = await new Promise((resolve, reject) => {
+            const request = this.db.transaction([STORE_NAME], 'readonly').objectStore(STORE_NAME).get(key);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        if (!record) return null;
+
+        if (Date.now() - record.timestamp > RECENCY_REFRESH_MS) {
+            this._touch(key).catch(e => console.warn('[BufferManager] Could not refresh segment recency:', e));
+        }
+        return record.data;
+    }
+
+    /**
+     * Bump a segment's timestamp for the LRU eviction. Runs apart from the
+     * read so playback never waits on the rewrite.
+     */
+    _touch(key) {
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([STORE_NAME], 'readonly');
+            const transaction = this.db.transaction([STORE_NAME], 'readwrite');
             const store = transaction.objectStore(STORE_NAME);
-            const key = `${this.tabId}_${streamId}_${segmentId}`;
             const request = store.get(key);
-
             request.onsuccess = () => {
-                resolve(request.result ? request.result.data : null);
+                const record = request.result;
+                // Evicted or cleared since the read
+                if (!record) return;
+                record.timestamp = Date.now();
+                store.put(record);
             };
-            request.onerror = () => reject(request.error);
+            transaction.oncomplete = () => resolve();
+            transaction.onabort = () => reject(transaction.error);
         });
     }
 
     /**
-     * Evict oldest segments to free up space
+     * Delete the least recently used segments (whichever tab they belong to)
+     * until `bytesNeeded` are freed. Walks the timestamp index oldest first.
      */
-    async _evictOldest(streamId) {
-        // Implementation note: For production speed, we'd use an Index cursor here.
-        // For this MVP, we essentially just clear somewhat blindly or warn.
-        // A real implementation would use a 'timestamp' index.
-        console.warn('[BufferManager] Evicting oldest segments...');
-        // Placeholder: Clear 20% of buffer
-        this.currentSize = Math.max(0, this.currentSize - (10 * 1024 * 1024));
+    async _evictOldest(bytesNeeded) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([STORE_NAME], 'readwrite');
+            const index = transaction.objectStore(STORE_NAME).index('timestamp');
+            const request = index.openCursor();
+            let freed = 0;
+            let count = 0;
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || freed >= bytesNeeded) return;
+
+                const record = cursor.value;
+                if (!record.pinned) {
+                    cursor.delete();
+                    freed += recordSize(record);
+                    count++;
+                }
+                cursor.continue();
+            };
+            transaction.oncomplete = () => {
+                storeSize = Math.max(0, storeSize - freed);
+                console.warn(`[BufferManager] Evicted ${count} segments (${(freed / 1024 / 1024).toFixed(1)}MB)`);
+                resolve();
+            };
+            transaction.onerror = () => reject(transaction.error);
+        });
     }
 
     /**
      * Clear all segments for this tab
      */
     async clearAll() {
-        if (!this.db) return;
-        // In a real implementation with indexes, we'd delete range tabId_...
-        // For now, we rely on the main engine to clean up or just handle overwrites.
+        if (!this.db) await this.init();
+        const count = await deleteByIndex(this.db, 'tabId', IDBKeyRange.only(this.tabId));
+        console.log(`[BufferManager] Cleared ${count} segments for tab ${this.tabId}`);
+    }
+
+    /**
+     * Clear one stream's segments, including its per-track ids (`${streamId}:audio`)
+     * @param {string} streamId
+     */
+    async clearStream(streamId) {
+        if (!this.db) await this.init();
+        await deleteByIndex(this.db, 'streamId', IDBKeyRange.only(streamId));
+        await deleteByIndex(this.db, 'streamId', IDBKeyRange.bound(`${streamId}:`, `${streamId}:\uffff`));
     }
+
+    /**
+     * Segments 0..count-1 of one stream, in order, for pages that only read
+     * (the popup's capture export)
+     * @returns {Promise<ArrayBuffer[]>} Missing segments are left out
+     */
+    static async readSegments(tabId, streamId, count) {
+        const db = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORE_NAME], 'readonly');
+            const store = transaction.objectStore(STORE_NAME);
+            const parts = [];
+            for (let i = 0; i < count; i++) {
+                const request = store.get(`${tabId}_${streamId}_${i}`);
+                request.onsuccess = () => {
+                    if (request.result) parts[i] = request.result.data;
+                };
+            }
+            transaction.oncomplete = () => resolve(parts.filter(Boolean));
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Bytes the whole store may hold right now (all tabs)
+     * @returns {Promise<number>}
+     */
+    static getBudget() {
+        return getBudget();
+    }
+
+    /**
+     * Delete every stream's segments unless it belongs to a live session.
+     * Runs without a BufferManager instance: sweeps happen at service worker
+     * startup and from the GC alarm, before/independently of any session.
+     * @param {Set<string>} liveStreamIds - Session stream ids (track suffixes are matched too)
+     * @returns {Promise<number>} Segments deleted
+     */
+    static async sweepOrphans(liveStreamIds) {
+        const db = await openDatabase();
+        const orphans = await new Promise((resolve, reject) => {
+            const transaction = db.transaction([STORE_NAME], 'readonly');
+            // Unique key cursor: one step per stream, no segment data read
+            const request = transaction.objectStore(STORE_NAME).index('streamId').openKeyCursor(null, 'nextunique');
+            const found = [];
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                if (!liveStreamIds.has(String(cursor.key).split(':')[0])) found.push(cursor.key);
+                cursor.continue();
+            };
+            transaction.oncomplete = () => resolve(found);
+            transaction.onerror = () => reject(transaction.error);
+        });
+
+        let count = 0;
+        for (const streamId of orphans) {
+            count += await deleteByIndex(db, 'streamId', IDBKeyRange.only(streamId));
+        }
+        if (count > 0) {
+            console.log(`[BufferManager] Swept ${count} orphaned segments from ${orphans.length} streams`);
+        }
+        return count;
+    }
+}
+
+/**
+ * Open the DB once and count what a previous service worker left in it
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onerror = (event) => reject('IndexedDB error: ' + event.target.errorCode);
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                const store = db.objectStoreNames.contains(STORE_NAME)
+                    ? event.target.transaction.objectStore(STORE_NAME)
+                    // keyPath: [tabId, streamId, segmentId]
+                    : db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+
+                for (const field of ['timestamp', 'streamId', 'tabId', 'size']) {
+                    if (!store.indexNames.contains(field)) {
+                        store.createIndex(field, field, { unique: false });
+                    }
+                }
+
+                // v1 records carry no size field, so the size index would miss them
+                if (event.oldVersion === 1) {
+                    store.openCursor().onsuccess = (e) => {
+                        const cursor = e.target.result;
+                        if (!cursor) return;
+                        if (cursor.value.size === undefined) {
+                            cursor.update({ ...cursor.value, size: cursor.value.data.byteLength });
+                        }
+                        cursor.continue();
+                    };
+                }
+            };
+
+            request.onsuccess = (event) => resolve(event.target.result);
+        })
+            .then(async (db) => {
+                storeSize = await measureStore(db);
+                if (storeSize > 0) {
+                    console.log(`[BufferManager] ${(storeSize / 1024 / 1024).toFixed(1)}MB already stored`);
+                }
+                return db;
+            })
+            .catch((err) => {
+                dbPromise = null; // Let the next caller try again
+                throw err;
+            });
+    }
+    return dbPromise;
+}
+
+/**
+ * Sum of the size index: a key cursor, so no segment data is read
+ */
+function measureStore(db) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_NAME], 'readonly');
+        const request = transaction.objectStore(STORE_NAME).index('size').openKeyCursor();
+        let size = 0;
+
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            size += cursor.key;
+            cursor.continue();
+        };
+        transaction.oncomplete = () => resolve(size);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Bytes the store may hold right now. Cached for BUDGET_TTL_MS.
+ */
+async function getBudget() {
+    if (budget && budget.expires > Date.now()) return budget.bytes;
+
+    const { bufferCapMB } = await chrome.storage.local.get('bufferCapMB');
+    let bytes = (bufferCapMB > 0 ? bufferCapMB : DEFAULT_BUFFER_CAP_MB) * 1024 * 1024;
+
+    try {
+        const { usage = 0, quota } = await navigator.storage.estimate();
+        if (quota) {
+            const free = Math.max(0, quota - usage);
+            bytes = Math.min(bytes, storeSize + free * FREE_SPACE_SHARE);
+        }
+    } catch (e) {
+        console.warn('[BufferManager] storage.estimate() failed, using the cap alone:', e);
+    }
+
+    bytes = Math.max(bytes, MIN_BUFFER_SIZE_MB * 1024 * 1024);
+    budget = { bytes, expires: Date.now() + BUDGET_TTL_MS };
+    return bytes;
+}
+
+/**
+ * Delete every record an index range matches
+ * @returns {Promise<number>} Records deleted
+ */
+function deleteByIndex(db, indexName, range) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_NAME], 'readwrite');
+        const request = transaction.objectStore(STORE_NAME).index(indexName).openCursor(range);
+        let count = 0;
+        let freed = 0;
+
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            freed += recordSize(cursor.value);
+            cursor.delete();
+            count++;
+            cursor.continue();
+        };
+        transaction.oncomplete = () => {
+            storeSize = Math.max(0, storeSize - freed);
+            resolve(count);
+        };
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+// v1 records carry no size field
+function recordSize(record) {
+    return record.size ?? record.data.byteLength;
 }
@@ -0,0 +1,84 @@
+/**
+ * FastStream Mobile - Segment Decryptor
+ * HLS AES-128 (whole-segment AES-CBC, PKCS7 padding) via WebCrypto.
+ */
+
+const MAX_CACHED_KEYS = 16; // Live streams rotate keys; old ones are never needed again
+
+export class SegmentDecryptor {
+    /**
+     * @param {function(string): Promise<ArrayBuffer>} fetchKey - Fetches raw key bytes.
+     *   The downloader routes this through the tab proxy so key servers see the page's auth.
+     */
+    constructor(fetchKey) {
+        this.fetchKey = fetchKey;
+        this.keys = new Map(); // key URI -> Promise<CryptoKey>
+    }
+
+    /**
+     * Decrypt one segment
+     * @param {ArrayBuffer} data
+     * @param {{method: string, uri: string, iv: string|null}} key - From parseMediaPlaylist
+     * @param {number} sequence - Media sequence number (the IV when the playlist gives none)
+     * @returns {Promise<ArrayBuffer>}
+     */
+    async decrypt(data, key, sequence) {
+        if (key.method !== 'AES-128') {
+            // SAMPLE-AES etc. won't decrypt on a retry either
+            throw Object.assign(new Error(`Unsupported encryption method: ${key.method}`), { fatal: true });
+        }
+
+        const cryptoKey = await this._getKey(key.uri);
+        const iv = key.iv ? parseIv(key.iv) : sequenceIv(sequence);
+        return crypto.subtle.decrypt({ name: 'AES-CBC', iv }, cryptoKey, data);
+    }
+
+    _getKey(uri) {
+        if (!this.keys.has(uri)) {
+            const promise = this.fetchKey(uri).then((bytes) => {
+                if (bytes.byteLength !== 16) {
+                    throw new Error(`Invalid AES-128 key (${bytes.byteLength} bytes) from ${uri}`);
+                }
+                return crypto.subtle.importKey('raw', bytes, { name: 'AES-CBC' }, false, ['decrypt']);
+            });
+
+            // Don't cache failures; the next segment tries again
+            promise.catch(() => {
+                if (this.keys.get(uri) === promise) this.keys.delete(uri);
+            });
+
+            this.keys.set(uri, promise);
+            if (this.keys.size > MAX_CACHED_KEYS) {
+                this.keys.delete(this.keys.keys().next().value); // Oldest first (insertion order)
+            }
+        }
+        return this.keys.get(uri);
+    }
+
+    clear() {
+        this.keys.clear();
+    }
+}
+
+/**
+ * IV attribute: 0x-prefixed hex, 128 bits
+ */
+function parseIv(hex) {
+    const digits = hex.replace(/^0x/i, '').padStart(32, '0');
+    const iv = new Uint8Array(16);
+    for (let i = 0; i < 16; i++) {
+        iv[i] = parseInt(digits.substr(i * 2, 2), 16);
+    }
+    return iv;
+}
+
+/**
+ * No IV attribute: the media sequence number as a big-endian 128-bit integer
+ */
+function sequenceIv(sequence) {
+    const iv = new Uint8Array(16);
+    const view = new DataView(iv.buffer);
+    view.setUint32(8, Math.floor(sequence / 0x100000000));
+    view.setUint32(12, sequence >>> 0);
+    return iv;
+}
@@ -3,29 +3,110 @@
  * Handles concurrent fetching of segments with Retry logic and Range support.
  */
 
+import { isMasterPlaylist, parseMasterPlaylist, parseMediaPlaylist, selectVariant, findSegmentByTime, isLivePlaylist } from '../shared/hls-playlist.js';
+import { parseMpd, buildPeriodSegments, parseSidx } from '../shared/dash-manifest.js';
+import { SegmentDecryptor } from './decryptor.js';
+import { TRANSPORT_BASE64, decodeBinary } from '../shared/transport.js';
+import { isProgressive } from '../shared/stream-type.js';
+import { scanTopLevelBoxes, readMovieDuration, parseMoov, planFragments, buildInitSegment, buildFragment } from '../shared/mp4-remux.js';
+import { parseWebmHeader, parseWebmCues, readElementSize } from '../shared/webm-index.js';
+import { getInitCodecs } from '../shared/container.js';
+
+const LIVE_EDGE_SEGMENTS = 3; // How far behind the live edge playback starts
+
+// Failed segments are retried after RETRY_BASE_DELAY_MS * 2^attempt (capped), with jitter
+export const DEFAULT_MAX_RETRIES = 4;
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 8000;
+
+// Once the player holds this much (seconds, same as its own request cap),
+// prefetch trickles one segment at a time
+const BUFFER_AHEAD_TARGET = 30;
+const THROTTLED_PREFETCH_CONCURRENCY = 1;
+
+// Segments at least CHUNK_MIN_SIZE are fetched as parallel byte ranges of about
+// CHUNK_SIZE (at most MAX_CHUNKS per segment, in free download slots), to fill slow links
+const CHUNK_MIN_SIZE = 2 * 1024 * 1024;
+const CHUNK_SIZE = 1024 * 1024;
+const MAX_CHUNKS = 4;
+
+// Progressive files (MP4 / WebM) are cut into segments of about this many
+// seconds at keyframes (MP4 sample tables, WebM Cues), so seeking is a byte offset
+const PROGRESSIVE_SEGMENT_DURATION = 6;
+const PROGRESSIVE_PROBE_BYTES = 64 * 1024; // Each read while looking for the moov / WebM header
+const MAX_MOOV_HOPS = 8; // Top-level boxes skipped (by header) looking for the moov
+const MAX_WEBM_HEADER_BYTES = 4 * 1024 * 1024;
+const WEBM_CHUNK_SIZE = 2 * 1024 * 1024; // WebM without Cues: plain byte chunks, no seeking
+
 export class SegmentDownloader {
-    constructor(bufferManager, tabId) {
+    /**
+     * @param {BufferManager} bufferManager
+     * @param {number} tabId - Tab whose page context proxies our fetches
+     * @param {ABRController} [abr] - Picks the variant for each queued segment
+     */
+    constructor(bufferManager, tabId, abr = null) {
         this.bufferManager = bufferManager;
         this.tabId = tabId;
-        this.queue = [];
+        this.frameId = 0; // Frame the stream was found in: FETCH_PROXY runs there, with that frame's cookies
+        this.abr = abr;
+        this.queue = []; // Unordered; _nextTaskIndex() picks by priority
         this.activeRequests = 0;
         this.concurrency = 3;
-        this.bandwidthEstimates = [];
         this.activeControllers = new Set(); // Track for aborts
+        this.activeTasks = new Set();
         this.isPaused = false;
+        this.baseHeaders = {};
+        this.transport = TRANSPORT_BASE64; // How the tab sends bytes back; the engine upgrades it after probing
+        this.fetchMode = 'auto'; // 'auto' (tab, direct fallback) | 'proxy' | 'direct'; per site, set by the engine
+        this.headerRules = null; // HeaderRules for direct fetches (shared by the session's downloaders)
+        this.proxyUnavailable = false; // Set once the tab stopped answering ('auto' then goes direct)
+        this.maxRetries = DEFAULT_MAX_RETRIES; // Per segment; the engine applies the user's setting
+        this.retryTimers = new Map(); // timer -> task waiting out its backoff
+        this.failures = new Map(); // segmentId -> { message, fatal } once a segment is given up on
+        this.rangeSupport = new Map(); // host -> whether it honours Range (learnt on first chunked fetch)
+
+        // Variant state
+        this.variants = [];
+        this.maxVariantIndex = 0; // Highest variant the engine's policy allows
+        this.playlists = new Map(); // variantIndex -> parsed media playlist
+        this.sequenceOffsets = new Map(); // variantIndex -> offset from our segment ids to its sequence numbers
+        this.segmentMeta = new Map(); // segmentId -> { variantIndex, initId, timestampOffset, start }
+        this.initIds = new Map(); // init segment key (uri + range) -> stored init id
+        this.storedInits = new Set();
+        this.storedSegments = new Set(); // Media segment ids in storage: seeking back doesn't fetch them again
+        this.initCounter = 0;
+        // AES-128 keys come through the tab proxy like everything else (auth cookies/headers)
+        this.decryptor = new SegmentDecryptor(uri => this.fetchBytes(uri));
+        this.currentVariant = -1; // Variant of the last queued segment
+
+        // Scheduling state
+        this.nextSequence = 0;
+        this.playhead = 0; // Segment the player last asked for
+        this.urgentSegment = null; // Segment (or init id) the player is stalled on
+        this.bufferLevel = 0; // Seconds buffered ahead in the player
+        this.lookahead = 20; // Max segments to prefetch past the playhead
+        this.finished = false;
+        this.generation = 0; // Bumped on seek/reset to invalidate in-flight tasks
+
+        // Live state (playlists without #EXT-X-ENDLIST)
+        this.live = false;
+        this.reloadTimer = null;
+        this.discontinuities = new Set(); // Segment ids where the player must restart its timeline
+        this.expiredBefore = -Infinity; // Ids below this fell out of the live window unfetched
     }
 
     /**
      * Update concurrency based on network conditions
      * @param {number} bufferLevel - Current buffer length in seconds
-     * @param {number} latency - Network latency in ms
+     * @param {number} downloadMs - Time the last segment took, request to last byte
+     *   (the tab proxy hands us whole responses, so there is no first-byte time)
      */
-    adjustConcurrency(bufferLevel, latency) {
+    adjustConcurrency(bufferLevel, downloadMs) {
         // Simple logic:
-        // High latency (>200ms) + Low Buffer (<5s) = INCREASE concurrency (up to 8)
-        // Low latency + High Buffer = DECREASE concurrency (save battery, down to 2)
+        // Slow segments (>1s each) + Low Buffer (<5s) = INCREASE concurrency (up to 8)
+        // High Buffer = DECREASE concurrency (save battery, down to 2)
 
-        if (latency > 200 && bufferLevel < 5) {
+        if (downloadMs > 1000 && bufferLevel < 5) {
             this.concurrency = Math.min(8, this.concurrency + 1);
         } else if (bufferLevel > 30) {
             this.concurrency = Math.max(2, this.concurrency - 1);
@@ -33,139 +114,837 @@ export class SegmentDownloader {
     }
 
     /**
-     * Abort all active downloads and clear queue.
-     * Used during SEEK operations or fatal errors.
+     * Resolve the stream's variants and start queueing segments.
+     * If the engine already picked a variant (streamInfo.variants), it caps ABR;
+     * otherwise a master playlist is parsed here with the default policy.
+     * DASH representations of streamInfo.track ('video' | 'audio') act as variants.
      */
     async start(streamInfo) {
         if (this.started) return;
         this.started = true;
+        this.streamId = streamInfo.streamId || 'default';
         this.baseHeaders = streamInfo.headers || {}; // Store for segments
-        console.log('[Downloader] Starting HLS resolution for:', streamInfo.url);
+        console.log(`[Downloader] Starting ${(streamInfo.type || 'hls').toUpperCase()} resolution for:`, streamInfo.url);
 
         try {
-            // 1. Initial Fetch (Master or Media?)
-            // Use Proxy Fetch to ensure cookies/referer are attached
-            // Pass baseHeaders (captured from engine)
-            let responseData = await this._proxyFetch(streamInfo.url, 'text', null, null, this.baseHeaders);
-            let text = responseData.text;
-            let baseUrl = streamInfo.url.substring(0, streamInfo.url.lastIndexOf('/') + 1);
-
-            // 2. Check for Master Playlist (Variants)
-            if (text.includes('#EXT-X-STREAM-INF')) {
-                console.log('[Downloader] Master playlist detected. Resolving variant...');
-
-                // Simple parser to find the first variant URL
-                // Look for line starting with #EXT-X-STREAM-INF, then take the NEXT line
-                const lines = text.split('\n');
-                let variantUrl = null;
-
-                for (let i = 0; i < lines.length; i++) {
-                    if (lines[i].startsWith('#EXT-X-STREAM-INF')) {
-                        // The URL is the next non-empty, non-comment line
-                        for (let j = i + 1; j < lines.length; j++) {
-                            const nextLine = lines[j].trim();
-                            if (nextLine && !nextLine.startsWith('#')) {
-                                variantUrl = nextLine;
-                                break;
-                            }
-                        }
-                        if (variantUrl) break; // Pick first for now
+            let variants = streamInfo.variants;
+            let variantIndex = streamInfo.variantIndex;
+
+            if (isProgressive(streamInfo.type)) {
+                ({ variants, variantIndex } = await this._resolveProgressive(streamInfo));
+            } else if (streamInfo.type === 'dash') {
+                ({ variants, variantIndex } = await this._resolveDash(streamInfo));
+                if (variantIndex === -1) {
+                    console.warn(`[Downloader] MPD has no ${streamInfo.track} representations.`);
+                    return;
+                }
+            } else if (!variants || !variants[variantIndex]) {
+                // Initial Fetch (Master or Media?)
+                // Use Proxy Fetch to ensure cookies/referer are attached
+                const text = await this.fetchText(streamInfo.url);
+                if (isMasterPlaylist(text)) {
+                    console.log('[Downloader] Master playlist detected. Resolving variant...');
+                    variants = parseMasterPlaylist(text, streamInfo.url).variants;
+                    variantIndex = selectVariant(variants);
+                    if (variantIndex === -1) {
+                        console.warn('[Downloader] Master playlist found but no variants extracted.');
+                        return;
                     }
+                } else {
+                    // Plain media playlist: a single "variant"
+                    variants = [{ uri: streamInfo.url, bandwidth: 0 }];
+                    variantIndex = 0;
+                    this.playlists.set(0, parseMediaPlaylist(text, streamInfo.url));
                 }
+            }
 
-                if (variantUrl) {
-                    // Resolve relative URL
-                    if (!variantUrl.startsWith('http')) {
-                        variantUrl = new URL(variantUrl, baseUrl).href;
-                    }
-                    console.log('[Downloader] Selected variant:', variantUrl);
+            this.variants = variants;
+            this.maxVariantIndex = variantIndex;
 
-                    // Fetch the Media Playlist via Proxy
-                    // Pass baseHeaders here too? Or should we use captured headers for variant?
-                    // Typically same headers apply.
-                    responseData = await this._proxyFetch(variantUrl, 'text', null, null, this.baseHeaders);
-                    text = responseData.text;
+            // Our segment ids follow this variant's media sequence numbers
+            const playlist = await this._loadVariant(variantIndex);
+            this.currentVariant = variantIndex;
+            this.live = isLivePlaylist(playlist);
 
-                    // Update base URL for segments
-                    baseUrl = variantUrl.substring(0, variantUrl.lastIndexOf('/') + 1);
-                } else {
-                    console.warn('[Downloader] Master playlist found but no variants extracted.');
-                }
+            // Live: join near the edge (3 segments back) instead of the oldest one
+            const startIndex = this.live ? Math.max(0, playlist.segments.length - LIVE_EDGE_SEGMENTS) : 0;
+            const startSequence = playlist.segments.length > 0 ? playlist.segments[startIndex].sequence : playlist.mediaSequence;
+
+            this.mediaSequence = startSequence; // Store for engine to read
+            this.nextSequence = startSequence;
+            this.playhead = startSequence;
+            console.log(`[Downloader] Sequence start: ${startSequence}${this.live ? ' (live)' : ''}`);
+
+            if (playlist.segments.length === 0) {
+                console.warn('[Downloader] No segments found in media playlist');
             }
 
-            // 3. Parse Media Playlist (Segments)
-            // Look for #EXTINF: duration, title
-            // Followed by the URL
-            const lines = text.split('\n');
-
-            // Parse Sequence Start
-            let sequence = 0;
-            const seqMatch = text.match(/#EXT-X-MEDIA-SEQUENCE:(\d+)/);
-            if (seqMatch) {
-                sequence = parseInt(seqMatch[1], 10);
-                console.log('[Downloader] Sequence start:', sequence);
+            if (this.live) this._scheduleReload(playlist.targetDuration);
+            await this._fillQueue();
+
+        } catch (e) {
+            console.error('[Downloader] Start failed:', e);
+        }
+    }
+
+    /**
+     * Fetch + parse the MPD and return this track's representation ladder.
+     * The engine stores only ladder descriptors, so the segment addressing is re-read here.
+     */
+    async _resolveDash(streamInfo) {
+        const manifest = parseMpd(await this.fetchText(streamInfo.url), streamInfo.url);
+        if (manifest.type === 'dynamic') {
+            console.warn('[Downloader] Dynamic MPD: playing the current snapshot only');
+        }
+
+        const variants = manifest[streamInfo.track] || [];
+        if (streamInfo.track === 'audio') {
+            // Audio rungs are cheap next to video: take the best one
+            return { variants, variantIndex: variants.length - 1 };
+        }
+        const variantIndex = variants[streamInfo.variantIndex] ? streamInfo.variantIndex : selectVariant(variants);
+        return { variants, variantIndex };
+    }
+
+    /**
+     * Size and duration of a progressive file, for the popup. Reads the first
+     * bytes (and the moov header, wherever it is); start() reuses them.
+     * @param {Object} streamInfo - url, type ('mp4' | 'webm'), headers, and size
+     *   when the response that revealed the file told it
+     * @returns {Promise<{size: number|null, duration: number|null}>}
+     */
+    async inspectFile(streamInfo) {
+        this.baseHeaders = streamInfo.headers || {};
+        const file = await this._openFile(streamInfo.url, streamInfo.type, streamInfo.size);
+        let duration = null;
+        if (streamInfo.type === 'mp4') {
+            duration = readMovieDuration(file.moov.bytes);
+        } else {
+            const header = parseWebmHeader(file.head);
+            if (header.complete) duration = header.duration;
+        }
+        return { size: file.size, duration };
+    }
+
+    /**
+     * File size (HEAD unless known), its first bytes and, for MP4, where the moov is.
+     * Cached per URL.
+     */
+    async _openFile(url, type, size = null) {
+        if (this.file && this.file.url === url) return this.file;
+
+        if (!size) {
+            const response = await this._proxyRequest({ url, method: 'HEAD', headers: this.baseHeaders });
+            size = response.size || null;
+        }
+        if (!size) throw new Error('Progressive file without a Content-Length');
+
+        const head = new Uint8Array(await this.fetchBytes(url, 0, Math.min(size, PROGRESSIVE_PROBE_BYTES) - 1));
+        const file = { url, size, head, moov: type === 'mp4' ? await this._locateMoov(url, size, head) : null };
+        this.file = file;
+        return file;
+    }
+
+    /**
+     * Walk the MP4's top-level boxes by their headers until the moov: up front in
+     * "fast start" files, after the mdat in most others
+     * @returns {Promise<{start: number, size: number, bytes: Uint8Array}>} bytes: the moov's start (maybe not all of it)
+     */
+    async _locateMoov(url, size, head) {
+        let offset = 0;
+        let bytes = head;
+        for (let hop = 0; hop < MAX_MOOV_HOPS; hop++) {
+            const found = scanTopLevelBoxes(bytes, offset);
+            const moov = found.find(b => b.type === 'moov');
+            if (moov) {
+                const moovSize = moov.size ?? size - moov.start;
+                return { start: moov.start, size: moovSize, bytes: bytes.subarray(moov.start - offset) };
             }
-            this.mediaSequence = sequence; // Store for engine to read
-
-            let count = sequence;
-
-            for (let i = 0; i < lines.length; i++) {
-                const line = lines[i].trim();
-
-                if (line.startsWith('#EXTINF:')) {
-                    // The next non-empty line is the segment
-                    let segmentUrl = null;
-                    for (let j = i + 1; j < lines.length; j++) {
-                        const nextLine = lines[j].trim();
-                        if (nextLine && !nextLine.startsWith('#')) {
-                            segmentUrl = nextLine;
-                            // Advance i to skip this line in outer loop (optional but cleaner)
-                            i = j;
-                            break;
-                        }
-                    }
 
-                    if (segmentUrl) {
-                        if (!segmentUrl.startsWith('http')) {
-                            segmentUrl = new URL(segmentUrl, baseUrl).href;
-                        }
+            const last = found[found.length - 1];
+            if (!last || last.size === null || last.start + last.size >= size) break;
+            offset = last.start + last.size;
+            bytes = new Uint8Array(await this.fetchBytes(url, offset, Math.min(size, offset + PROGRESSIVE_PROBE_BYTES) - 1));
+        }
+        throw new Error('No moov box found (not an MP4, or a fragmented one)');
+    }
+
+    /**
+     * Turn a progressive file into a one-variant playlist of byte-range segments.
+     * The init segment comes from bytes we already hold, so it is stored up front
+     * (pinned) instead of queued.
+     */
+    async _resolveProgressive(streamInfo) {
+        const file = await this._openFile(streamInfo.url, streamInfo.type, streamInfo.size);
+        const { playlist, variant, init } = streamInfo.type === 'mp4'
+            ? await this._buildMp4Playlist(file)
+            : await this._buildWebmPlaylist(file);
+
+        const initKey = `${file.url}|${playlist.segments[0].init.rangeStart}-${playlist.segments[0].init.rangeEnd}`;
+        const initId = `init-${this.initCounter++}`;
+        await this.bufferManager.storeSegment(this.streamId, initId, init.buffer, { pinned: true });
+        this.initIds.set(initKey, initId);
+        this.storedInits.add(initId);
 
-                        this.addSegment(segmentUrl, streamInfo.streamId || 'default', count++);
-                        if (count - sequence >= 20) break; // Increased prototype limit to 20
-                    }
+        playlist.loadedAt = Date.now();
+        this.playlists.set(0, playlist);
+        console.log(`[Downloader] ${streamInfo.type.toUpperCase()}: ${playlist.segments.length} segments, ${playlist.duration.toFixed(1)}s, ${(file.size / 1024 / 1024).toFixed(1)}MB`);
+        return { variants: [variant], variantIndex: 0 };
+    }
+
+    async _buildMp4Playlist(file) {
+        let moovBytes = file.moov.bytes;
+        if (moovBytes.byteLength < file.moov.size) {
+            moovBytes = new Uint8Array(await this.fetchBytes(file.url, file.moov.start, file.moov.start + file.moov.size - 1));
+            file.moov.bytes = moovBytes;
+        }
+        moovBytes = moovBytes.subarray(0, file.moov.size);
+
+        const index = parseMoov(moovBytes);
+        const fragments = planFragments(index, PROGRESSIVE_SEGMENT_DURATION);
+        const init = buildInitSegment(index, moovBytes);
+        this.remuxer = { index, fragments };
+
+        // The init segment is made from the moov, so the moov's range names it
+        const initRange = { uri: file.url, rangeStart: file.moov.start, rangeEnd: file.moov.start + file.moov.size - 1 };
+        const segments = fragments.map((fragment, i) => ({
+            uri: file.url,
+            sequence: i,
+            start: fragment.start,
+            duration: fragment.duration,
+            ranges: fragment.ranges,
+            fragment: i,
+            init: initRange,
+            timestampOffset: 0 // Fragments keep the file's own timeline
+        }));
+
+        const video = index.tracks.find(t => t.type === 'video');
+        const variant = {
+            uri: file.url,
+            bandwidth: index.duration > 0 ? Math.round(file.size * 8 / index.duration) : 0,
+            codecs: getInitCodecs(init).map(c => c.codec).join(','),
+            mimeType: video ? 'video/mp4' : 'audio/mp4',
+            resolution: video ? { width: video.width, height: video.height } : null
+        };
+        return { playlist: this._progressivePlaylist(segments, index.duration), variant, init };
+    }
+
+    async _buildWebmPlaylist(file) {
+        let head = file.head;
+        let header = parseWebmHeader(head);
+        while (!header.complete && header.needed <= MAX_WEBM_HEADER_BYTES && head.byteLength < file.size) {
+            head = new Uint8Array(await this.fetchBytes(file.url, 0, Math.min(file.size, header.needed) - 1));
+            header = parseWebmHeader(head);
+        }
+        if (!header.complete) throw new Error('WebM header too large or truncated');
+
+        // Cues usually sit after the Clusters; the SeekHead says where
+        let cues = header.cues;
+        if (!cues && header.cuesOffset !== null && header.cuesOffset < file.size) {
+            cues = await this._fetchWebmCues(file, header);
+        }
+
+        // Clusters run to the Segment's end, or to the Cues when those come last
+        let end = Math.min(file.size, header.segmentEnd ?? file.size);
+        if (header.cuesOffset !== null && header.cuesOffset > header.firstCluster) end = Math.min(end, header.cuesOffset);
+        const duration = header.duration ?? 0;
+        const initRange = { uri: file.url, rangeStart: 0, rangeEnd: header.firstCluster - 1 };
+        const segments = [];
+        if (cues && cues.length > 0) {
+            // Segments start on cued Clusters, at least PROGRESSIVE_SEGMENT_DURATION apart
+            const starts = cues.reduce((picked, cue) => {
+                if (picked.length === 0 || cue.time - picked[picked.length - 1].time >= PROGRESSIVE_SEGMENT_DURATION) picked.push(cue);
+                return picked;
+            }, []);
+            starts[0] = { time: 0, offset: header.firstCluster };
+            starts.forEach((cue, i) => {
+                const next = starts[i + 1];
+                segments.push({
+                    uri: file.url,
+                    sequence: i,
+                    start: cue.time,
+                    duration: Math.max(0, (next ? next.time : duration) - cue.time),
+                    rangeStart: cue.offset,
+                    rangeEnd: (next ? next.offset : end) - 1,
+                    init: initRange,
+                    timestampOffset: 0
+                });
+            });
+        } else {
+            // No index: MSE takes WebM in arbitrary pieces as long as they arrive in
+            // order, but a seek would land mid-Cluster
+            console.warn('[Downloader] WebM without Cues: playing from the start, seeking disabled');
+            const span = end - header.firstCluster;
+            for (let offset = header.firstCluster, i = 0; offset < end; offset += WEBM_CHUNK_SIZE, i++) {
+                const chunkEnd = Math.min(end, offset + WEBM_CHUNK_SIZE);
+                segments.push({
+                    uri: file.url,
+                    sequence: i,
+                    // Estimates by byte position; only used for failed-segment gaps
+                    start: duration * (offset - header.firstCluster) / span,
+                    duration: duration * (chunkEnd - offset) / span,
+                    rangeStart: offset,
+                    rangeEnd: chunkEnd - 1,
+                    init: initRange,
+                    timestampOffset: 0
+                });
+            }
+        }
+
+        const video = header.tracks.find(t => t.type === 'video');
+        const variant = {
+            uri: file.url,
+            bandwidth: duration > 0 ? Math.round(file.size * 8 / duration) : 0,
+            codecs: header.tracks.map(t => t.codec).filter(Boolean).join(',') || null,
+            mimeType: video ? 'video/webm' : 'audio/webm',
+            resolution: video && video.width ? { width: video.width, height: video.height } : null
+        };
+        const playlist = this._progressivePlaylist(segments, duration);
+        playlist.container = 'webm';
+        playlist.seekable = !!(cues && cues.length > 0);
+        return { playlist, variant, init: head.slice(0, header.firstCluster) };
+    }
+
+    async _fetchWebmCues(file, header) {
+        try {
+            const start = header.cuesOffset;
+            let bytes = new Uint8Array(await this.fetchBytes(file.url, start, Math.min(file.size, start + PROGRESSIVE_PROBE_BYTES) - 1));
+            const size = readElementSize(bytes);
+            if (size && size > bytes.byteLength && start + size <= file.size) {
+                bytes = new Uint8Array(await this.fetchBytes(file.url, start, start + size - 1));
+            }
+            return parseWebmCues(bytes, header.segmentStart, header.timecodeScale);
+        } catch (e) {
+            console.warn('[Downloader] Could not read WebM Cues:', e.message);
+            return null;
+        }
+    }
+
+    _progressivePlaylist(segments, duration) {
+        return {
+            mediaSequence: 0,
+            targetDuration: Math.max(0, ...segments.map(s => s.duration)),
+            endList: true,
+            duration,
+            segments
+        };
+    }
+
+    /**
+     * Player buffer report (seconds ahead of currentTime), feeds ABR + concurrency
+     */
+    updateBufferLevel(bufferLevel) {
+        const wasThrottled = this.bufferLevel >= BUFFER_AHEAD_TARGET;
+        this.bufferLevel = bufferLevel;
+
+        // Fell below the target: prefetch gets every slot back
+        if (wasThrottled && bufferLevel < BUFFER_AHEAD_TARGET) {
+            for (let i = this.activeRequests; i < this.concurrency; i++) this._processQueue();
+            this._fillQueue();
+        }
+    }
+
+    /**
+     * Player progress: the segment it is currently asking for
+     */
+    setPlayhead(segmentId) {
+        this.playhead = segmentId;
+        this._fillQueue();
+    }
+
+    /**
+     * The player asked for a segment we don't have: fetch it before any prefetch,
+     * one slot over the concurrency limit if need be
+     * @param {number|string} segmentId - Media segment or init id
+     */
+    prioritize(segmentId) {
+        if (this.urgentSegment === segmentId) return;
+        this.urgentSegment = segmentId;
+        if (typeof segmentId === 'number' && segmentId < this.nextSequence && !this._isPending(segmentId)) {
+            this._requeue(segmentId);
+        }
+        this._fillQueue();
+        this._processQueue();
+    }
+
+    _prefetchLimit() {
+        return this.bufferLevel >= BUFFER_AHEAD_TARGET
+            ? Math.min(this.concurrency, THROTTLED_PREFETCH_CONCURRENCY)
+            : this.concurrency;
+    }
+
+    /**
+     * Lower runs first: the urgent segment, then init segments (media can't be
+     * appended without them), then media by distance ahead of the playhead.
+     * Segments behind the playhead (the player moved on) come last.
+     */
+    _priority(task) {
+        if (task.segmentId === this.urgentSegment) return -Infinity;
+        if (task.isInit) return -1;
+        const distance = task.segmentId - this.playhead;
+        return distance >= 0 ? distance : this.lookahead - distance;
+    }
+
+    _nextTaskIndex() {
+        let best = 0;
+        for (let i = 1; i < this.queue.length; i++) {
+            if (this._priority(this.queue[i]) < this._priority(this.queue[best])) best = i;
+        }
+        return best;
+    }
+
+    /**
+     * True once segmentId lies past the end of a finished playlist.
+     * Never true for live streams: their end is only ever "not yet published".
+     */
+    isFinished(segmentId) {
+        return !this.live && this.finished && segmentId >= this.nextSequence;
+    }
+
+    /**
+     * Live: the first id still fetchable if segmentId slid out of the window unfetched, else null
+     */
+    getExpiredReplacement(segmentId) {
+        return segmentId < this.expiredBefore ? this.expiredBefore : null;
+    }
+
+    /**
+     * Queue the next segments just in time, so every segment gets a fresh ABR decision.
+     * Stops at `lookahead` segments past the player's playhead.
+     */
+    async _fillQueue() {
+        if (this.filling) return;
+        this.filling = true;
+
+        try {
+            while (this.started && !this.isPaused && !this.finished &&
+                (this.queue.length + this.activeRequests < this._prefetchLimit() ||
+                    this.urgentSegment === this.nextSequence) &&
+                this.nextSequence <= this.playhead + this.lookahead) {
+
+                // Fetched before a seek moved the playhead back: the player reads it from storage
+                if (this.storedSegments.has(this.nextSequence)) {
+                    this.nextSequence++;
+                    continue;
+                }
+
+                const variantIndex = this._chooseVariant();
+                const playlist = await this._loadVariant(variantIndex);
+                if (!this.started) break; // Reset while the playlist was loading
+
+                let segment = this._findSegment(variantIndex, playlist, this.nextSequence);
+                if (!segment && this.live) {
+                    segment = this._skipExpired(variantIndex, playlist);
+                    if (!segment) break; // Not published yet, wait for the next reload
+                }
+                if (!segment) {
+                    console.log(`[Downloader] Reached end of playlist at segment ${this.nextSequence}`);
+                    this.finished = true;
+                    break;
+                }
+                if (segment.discontinuity) this.discontinuities.add(this.nextSequence);
+
+                if (variantIndex !== this.currentVariant) {
+                    console.log(`[Downloader] Segment ${this.nextSequence} from variant #${variantIndex}`);
+                    this.currentVariant = variantIndex;
                 }
+
+                this._queueSegment(variantIndex, segment, this.nextSequence);
+                this.nextSequence++;
             }
+        } catch (e) {
+            console.error('[Downloader] Queue refill failed:', e);
+        } finally {
+            this.filling = false;
+        }
+    }
 
-            if (count === sequence) {
-                console.warn('[Downloader] No segments found in media playlist');
-            } else {
-                console.log(`[Downloader] Queued ${count - sequence} segments (Seq: ${sequence} -> ${count}).`);
+    _queueSegment(variantIndex, segment, segmentId) {
+        // fMP4 media needs its init segment; queue each distinct one once
+        this.segmentMeta.set(segmentId, {
+            variantIndex,
+            initId: segment.init ? this._queueInit(segment.init) : null,
+            timestampOffset: segment.timestampOffset ?? null,
+            start: segment.start,
+            duration: segment.duration
+        });
+        this.addSegment(segment.uri, this.streamId, segmentId, segment.rangeStart ?? null, segment.rangeEnd ?? null, {
+            key: segment.key || null,
+            sequence: segment.sequence,
+            // Progressive MP4: the sample ranges to fetch and the fragment they become
+            ranges: segment.ranges || null,
+            fragment: segment.fragment ?? null
+        });
+    }
+
+    /**
+     * Queue a segment behind nextSequence again: cancelled by a pause, or
+     * evicted from storage before the player got to it
+     */
+    _requeue(segmentId) {
+        const meta = this.segmentMeta.get(segmentId);
+        const playlist = meta && this.playlists.get(meta.variantIndex);
+        const segment = playlist && this._findSegment(meta.variantIndex, playlist, segmentId);
+        if (!segment) return; // Live: slid out of the window (getExpiredReplacement covers it)
+        this.storedSegments.delete(segmentId);
+
+        console.log(`[Downloader] Segment ${segmentId} missing, fetching it again`);
+        this._queueSegment(meta.variantIndex, segment, segmentId);
+    }
+
+    _isPending(segmentId) {
+        return this.queue.some(t => t.segmentId === segmentId) ||
+            [...this.activeTasks].some(t => t.segmentId === segmentId) ||
+            [...this.retryTimers.values()].some(t => t.segmentId === segmentId);
+    }
+
+    _chooseVariant() {
+        if (!this.abr || this.maxVariantIndex === 0) return this.maxVariantIndex;
+
+        // Profiles are sorted asc (parseMasterPlaylist), capped by the engine's policy
+        const profiles = this.variants
+            .slice(0, this.maxVariantIndex + 1)
+            .map(v => ({ bitrate: v.averageBandwidth || v.bandwidth }));
+        const index = this.abr.getNextQuality(profiles, this.bufferLevel);
+        return Math.max(0, Math.min(index, this.maxVariantIndex));
+    }
+
+    /**
+     * Queue an init segment ahead of media (once per distinct uri + range)
+     * @returns {string} Init id the segment is stored under
+     */
+    _queueInit(init) {
+        const key = `${init.uri}|${init.rangeStart}-${init.rangeEnd}`;
+        if (!this.initIds.has(key)) {
+            const initId = `init-${this.initCounter++}`;
+            this.initIds.set(key, initId);
+            this.queue.push({
+                url: init.uri,
+                streamId: this.streamId,
+                segmentId: initId,
+                rangeStart: init.rangeStart,
+                rangeEnd: init.rangeEnd,
+                key: init.key || null,
+                sequence: 0, // Encrypted init segments must carry an explicit IV
+                retries: 0,
+                generation: this.generation,
+                isInit: true
+            });
+            this._processQueue();
+        }
+        return this.initIds.get(key);
+    }
+
+    /**
+     * Fetch (once) and cache a variant's media playlist.
+     * Live playlists are refetched once they are older than a target duration.
+     */
+    async _loadVariant(variantIndex) {
+        const cached = this.playlists.get(variantIndex);
+        if (cached && !(this.live && Date.now() - cached.loadedAt > cached.targetDuration * 1000)) {
+            return cached;
+        }
+
+        if (this.variants[variantIndex].periods) {
+            const playlist = await this._buildDashPlaylist(this.variants[variantIndex]);
+            this.playlists.set(variantIndex, playlist);
+            return playlist;
+        }
+
+        const uri = this.variants[variantIndex].uri;
+        const text = await this.fetchText(uri);
+        const playlist = parseMediaPlaylist(text, uri);
+        playlist.loadedAt = Date.now();
+        if (cached) this._checkLiveContinuity(variantIndex, cached, playlist);
+        this.playlists.set(variantIndex, playlist);
+        return playlist;
+    }
+
+    /**
+     * Flatten a DASH representation's periods into the media playlist shape
+     * the queue works with. SegmentBase periods get their sidx fetched here.
+     */
+    async _buildDashPlaylist(representation) {
+        const segments = [];
+
+        for (const period of representation.periods) {
+            let periodSegments = buildPeriodSegments(period);
+            if (!periodSegments) {
+                if (!period.indexRange) {
+                    console.warn('[Downloader] SegmentBase without indexRange, skipping period');
+                    continue;
+                }
+                const sidx = await this.fetchBytes(period.baseUrl, period.indexRange.start, period.indexRange.end);
+                periodSegments = parseSidx(sidx, period);
             }
 
+            periodSegments.forEach((segment, i) => {
+                segments.push({
+                    ...segment,
+                    sequence: segments.length,
+                    // New period: new timeline (and usually a new init segment)
+                    discontinuity: i === 0 && segments.length > 0
+                });
+            });
+        }
+
+        const last = segments[segments.length - 1];
+        return {
+            mediaSequence: 0,
+            targetDuration: Math.max(0, ...segments.map(s => s.duration)),
+            endList: true,
+            duration: last ? last.start + last.duration : 0,
+            segments
+        };
+    }
+
+    /**
+     * Live: we fell behind the sliding window (or the numbering jumped ahead).
+     * Skip to the oldest segment still listed and mark a discontinuity there.
+     */
+    _skipExpired(variantIndex, playlist) {
+        const offset = this.sequenceOffsets.get(variantIndex) || 0;
+        const first = playlist.segments[0];
+        if (!first || first.sequence - offset <= this.nextSequence) return null;
+
+        const target = first.sequence - offset;
+        console.warn(`[Downloader] Live window moved past segment ${this.nextSequence}, jumping to ${target}`);
+        this.nextSequence = target;
+        this.expiredBefore = target;
+        this.discontinuities.add(target);
+        return first;
+    }
+
+    /**
+     * Live: detect a playlist reset (media sequence went backwards, e.g. an
+     * encoder restart) and remap the new numbering onto our monotonic ids.
+     */
+    _checkLiveContinuity(variantIndex, previous, playlist) {
+        if (playlist.mediaSequence >= previous.mediaSequence || playlist.segments.length === 0) return;
+
+        const startIndex = Math.max(0, playlist.segments.length - LIVE_EDGE_SEGMENTS);
+        const restart = playlist.segments[startIndex];
+        console.warn(`[Downloader] Live playlist reset (${previous.mediaSequence} -> ${playlist.mediaSequence}), resuming at segment ${this.nextSequence}`);
+
+        // Other variants' offsets are meaningless after a reset; rebuild by time on switch
+        this.sequenceOffsets.clear();
+        this.sequenceOffsets.set(variantIndex, restart.sequence - this.nextSequence);
+        this.discontinuities.add(this.nextSequence);
+    }
+
+    /**
+     * Live reload loop on the #EXT-X-TARGETDURATION cadence.
+     * An unchanged playlist is retried after half a target duration (RFC 8216 6.3.4).
+     */
+    _scheduleReload(targetDuration, changed = true) {
+        clearTimeout(this.reloadTimer);
+        const delay = Math.max(1, targetDuration || 6) * 1000 * (changed ? 1 : 0.5);
+        this.reloadTimer = setTimeout(() => this._reloadLive(), delay);
+    }
+
+    async _reloadLive() {
+        this.reloadTimer = null;
+        if (!this.started || !this.live) return;
+
+        const variantIndex = this.currentVariant;
+        const previous = this.playlists.get(variantIndex);
+        let playlist = previous;
+
+        try {
+            // Force a refetch of the variant we are following
+            this.playlists.delete(variantIndex);
+            playlist = await this._loadVariant(variantIndex);
+            if (previous) this._checkLiveContinuity(variantIndex, previous, playlist);
         } catch (e) {
-            console.error('[Downloader] Start failed:', e);
+            console.warn('[Downloader] Live playlist reload failed:', e.message);
+            if (!this.playlists.has(variantIndex) && previous) this.playlists.set(variantIndex, previous);
+        }
+        if (!this.started) return;
+
+        // Other variants' cached playlists are stale now; refetch on switch
+        for (const index of [...this.playlists.keys()]) {
+            if (index !== variantIndex) this.playlists.delete(index);
         }
+
+        if (playlist.endList) {
+            console.log('[Downloader] Live stream ended (#EXT-X-ENDLIST)');
+            this.live = false;
+        }
+
+        this._fillQueue();
+
+        if (this.live) {
+            const lastOf = p => (p && p.segments.length ? p.segments[p.segments.length - 1].sequence : null);
+            this._scheduleReload(playlist.targetDuration, lastOf(playlist) !== lastOf(previous));
+        }
+    }
+
+    /**
+     * Find the segment for one of our segment ids in a variant's playlist.
+     * Variants normally share media sequence numbers; when one doesn't, the
+     * segment is matched by start time against the variant we switched from
+     * and the resulting offset is remembered for that variant.
+     */
+    _findSegment(variantIndex, playlist, segmentId) {
+        const offset = this.sequenceOffsets.get(variantIndex) || 0;
+        const match = playlist.segments.find(s => s.sequence === segmentId + offset);
+        if (match || this.currentVariant === variantIndex) return match;
+
+        // _reloadLive() swaps the current variant's playlist out while it loads the new one
+        const previous = this.playlists.get(this.currentVariant);
+        if (!previous) return undefined;
+        const previousOffset = this.sequenceOffsets.get(this.currentVariant) || 0;
+        const reference = previous.segments.find(s => s.sequence === segmentId + previousOffset);
+        if (!reference || reference.start >= playlist.duration) return undefined;
+
+        const segment = findSegmentByTime(playlist, reference.start);
+        this.sequenceOffsets.set(variantIndex, segment.sequence - segmentId);
+        return segment;
+    }
+
+    /**
+     * Fetch a playlist as text through the tab proxy with the stream's headers
+     * @param {string} url
+     * @param {Object} [headers] - Defaults to the headers captured at start()
+     */
+    async fetchText(url, headers = this.baseHeaders) {
+        const responseData = await this._proxyFetch(url, 'text', null, null, headers);
+        return responseData.text;
+    }
+
+    /**
+     * Fetch raw bytes (optionally a byte range) through the tab proxy
+     * @returns {Promise<ArrayBuffer>}
+     */
+    async fetchBytes(url, rangeStart = null, rangeEnd = null) {
+        const responseData = await this._proxyFetch(url, 'arraybuffer', rangeStart, rangeEnd, this.baseHeaders);
+        return decodeBinary(responseData);
+    }
+
+    /**
+     * Container the playlist declares: #EXT-X-MAP (or DASH) means fMP4, otherwise MPEG-TS.
+     * The player double-checks each segment's magic bytes.
+     */
+    getContainer() {
+        const playlist = this.playlists.get(this.currentVariant);
+        if (playlist && playlist.container) return playlist.container; // Progressive WebM
+        return playlist && playlist.segments.some(s => s.init) ? 'fmp4' : 'ts';
+    }
+
+    /**
+     * Bookkeeping the player needs alongside a segment's bytes
+     */
+    getSegmentMeta(segmentId) {
+        return this.segmentMeta.get(segmentId) || {};
+    }
+
+    /**
+     * Why a segment (or its init segment) was given up on, or null while it may still arrive
+     * @returns {{message: string, fatal: boolean}|null}
+     */
+    getFailure(segmentId) {
+        const failure = this.failures.get(segmentId);
+        if (failure) return failure;
+        const initId = this.getSegmentMeta(segmentId).initId;
+        return (initId && this.failures.get(initId)) || null;
+    }
+
+    /**
+     * Jump the pipeline to the segment playing at `time` (seconds).
+     * In-flight fetches are cancelled and the queue restarts at the target,
+     * passing over segments that are already stored.
+     * @returns {{segmentId: number, start: number}|null} null if no playlist is loaded yet
+     */
+    seek(time) {
+        const playlist = this.playlists.get(this.currentVariant);
+        if (!playlist) return null;
+        if (playlist.seekable === false) {
+            console.warn('[Downloader] Stream has no seek index');
+            return null;
+        }
+
+        const segment = findSegmentByTime(playlist, time);
+        if (!segment) return null;
+
+        const segmentId = segment.sequence - (this.sequenceOffsets.get(this.currentVariant) || 0);
+        console.log(`[Downloader] Seek to ${time.toFixed(1)}s -> segment ${segmentId}`);
+
+        this._cancelPending();
+        this.nextSequence = segmentId;
+        this.playhead = segmentId;
+        this.finished = false;
+        this._fillQueue();
+
+        return { segmentId, start: segment.start };
+    }
+
+    /**
+     * Whether seek() can find a segment by time (WebM files without Cues can't)
+     */
+    isSeekable() {
+        const playlist = this.playlists.get(this.currentVariant);
+        return !!playlist && playlist.seekable !== false;
+    }
+
+    /**
+     * Total duration (seconds) of the playlist our segment ids follow
+     */
+    getDuration() {
+        const playlist = this.playlists.get(this.currentVariant);
+        return playlist ? playlist.duration : 0;
     }
 
     reset() {
         console.log('[Downloader] Resetting pipeline...');
         this.started = false;
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = null;
+        this._cancelPending();
+        this.isPaused = false;
+        this.finished = false;
+    }
 
-        // 1. Abort active fetch controllers
-        // We need to track controllers to do this properly
-        // For this prototype, we rely on the implementation below updating to store them.
+    /**
+     * Abort active fetches and drop the queue.
+     * Bumping the generation makes late results from aborted tasks get discarded.
+     * @returns {number|null} Lowest media segment id that was cancelled
+     */
+    _cancelPending() {
+        const cancelled = [...this.queue, ...this.activeTasks, ...this.retryTimers.values()]
+            .filter(t => !t.isInit)
+            .map(t => t.segmentId);
+
+        this.generation++;
         this.activeControllers.forEach(c => c.abort());
         this.activeControllers.clear();
-
-        // 2. Clear queue
+        this.activeTasks.clear();
+        this.retryTimers.forEach((task, timer) => clearTimeout(timer));
+        this.retryTimers.clear();
         this.queue = [];
         this.activeRequests = 0;
-        this.isPaused = false;
+        this.urgentSegment = null;
+        this.failures.clear(); // Requeued segments get a fresh set of attempts
+
+        // Init segments that never made it to storage must be queued again
+        for (const [key, initId] of this.initIds) {
+            if (!this.storedInits.has(initId)) this.initIds.delete(key);
+        }
+        return cancelled.length > 0 ? Math.min(...cancelled) : null;
     }
 
     pause() {
         console.log('[Downloader] Paused');
         this.isPaused = true;
+        // Nobody is watching: stop spending data. Resume picks up from the
+        // first segment that didn't finish.
+        const resumeFrom = this._cancelPending();
+        if (resumeFrom !== null && resumeFrom < this.nextSequence) {
+            this.nextSequence = resumeFrom;
+            this.finished = false;
+        }
+        // No point polling a live playlist nobody is watching
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = null;
     }
 
     resume() {
@@ -173,22 +952,34 @@ export class SegmentDownloader {
             console.log('[Downloader] Resuming');
             this.isPaused = false;
             this._processQueue();
+            if (this.live && this.started) {
+                this._reloadLive();
+            } else {
+                this._fillQueue();
+            }
         }
     }
 
     /**
      * Add segment to download queue
+     * @param {Object} [extra] - { key, sequence } for encrypted HLS segments,
+     *   { ranges, fragment } for progressive MP4 fragments
      */
-    addSegment(url, streamId, segmentId, rangeStart = null, rangeEnd = null) {
-        this.queue.push({ url, streamId, segmentId, rangeStart, rangeEnd, retries: 0 });
+    addSegment(url, streamId, segmentId, rangeStart = null, rangeEnd = null, extra = {}) {
+        this.queue.push({ url, streamId, segmentId, rangeStart, rangeEnd, ...extra, retries: 0, generation: this.generation });
         this._processQueue();
     }
 
     async _processQueue() {
-        if (this.isPaused || this.activeRequests >= this.concurrency || this.queue.length === 0) return;
+        if (this.isPaused || this.queue.length === 0) return;
 
-        const task = this.queue.shift();
+        const index = this._nextTaskIndex();
+        const urgent = this.queue[index].segmentId === this.urgentSegment;
+        if (this.activeRequests >= (urgent ? this.concurrency + 1 : this._prefetchLimit())) return;
+
+        const [task] = this.queue.splice(index, 1);
         this.activeRequests++;
+        this.activeTasks.add(task);
         console.log(`[Downloader] Starting segment ${task.segmentId}, Active: ${this.activeRequests}`);
 
         // Track controller for abort capability
@@ -198,118 +989,423 @@ export class SegmentDownloader {
         try {
             const start = Date.now();
 
-            // Switch to Proxy Fetch
-            // Response has { buffer: Array<number> } because we can't send ArrayBuffer directly over some channels easily, 
-            // but Chromium messaging usually handles valid JSON types. 
-            // We'll standardise that the content script returns a serializable format.
-            const responseData = await this._proxyFetch(task.url, 'arraybuffer', task.rangeStart, task.rangeEnd);
-
-            // If data comes back as array of numbers (safe fallback), convert. 
-            // If it comes back as base64 or other, handle it.
-            // Assuming content script returns { buffer: [...] } or serializes well.
-            // For robustness, let's assume valid ArrayBuffer or Array.
-            let arrayBuffer;
-            if (responseData.buffer && Array.isArray(responseData.buffer)) {
-                arrayBuffer = new Uint8Array(responseData.buffer).buffer;
-            } else {
-                // Might come through as object if serialised weirdly
-                arrayBuffer = responseData;
+            // Switch to Proxy Fetch (in parallel byte ranges when the segment is big)
+            let data = await this._fetchSegment(task, controller.signal);
+            const duration = Date.now() - start;
+
+            // Seek/reset happened while this was in flight
+            if (controller.signal.aborted || task.generation !== this.generation) {
+                console.log(`[Downloader] Discarding stale segment ${task.segmentId}`);
+                return;
             }
 
-            const data = arrayBuffer;
-            const duration = Date.now() - start;
+            // The player only ever sees clear bytes
+            if (task.key) {
+                data = await this.decryptor.decrypt(data, task.key, task.sequence);
+            }
+
+            // Progressive MP4: rewrap the samples as a moof/mdat fragment
+            if (task.fragment !== null && task.fragment !== undefined) {
+                const { index, fragments } = this.remuxer;
+                data = buildFragment(index, fragments[task.fragment], new Uint8Array(data), task.fragment + 1).buffer;
+            }
 
-            // Update estimates
-            this.bandwidthEstimates.push(data.byteLength / (duration / 1000)); // bytes per sec
-            this.adjustConcurrency(0, duration); // bufferLevel would come from engine
+            // Update estimates (init segments are too small to say anything about bandwidth)
+            if (!task.isInit) {
+                if (this.abr) this.abr.reportSegmentDownload(data.byteLength, duration);
+                this.adjustConcurrency(this.bufferLevel, duration);
+            }
 
             // Store
-            await this.bufferManager.storeSegment(task.streamId, task.segmentId, data);
+            await this.bufferManager.storeSegment(task.streamId, task.segmentId, data, { pinned: task.isInit });
+            if (task.isInit) this.storedInits.add(task.segmentId);
+            else this.storedSegments.add(task.segmentId);
+            if (task.segmentId === this.urgentSegment) this.urgentSegment = null;
 
             // Notification (optional, usually handled by StreamManager polling DB)
 
         } catch (err) {
             if (err.name === 'AbortError') {
                 console.log(`[Downloader] Segment ${task.segmentId} aborted.`);
-            } else {
-                console.error('[Downloader] Failed segment', task.segmentId, err);
-                // Handle fatal failure (notify engine)
+            } else if (task.generation === this.generation) {
+                this._handleFailure(task, err);
             }
         } finally {
             this.activeControllers.delete(controller);
-            this.activeRequests--;
+            this.activeTasks.delete(task);
+            // _cancelPending() already released the slots of older generations
+            if (task.generation === this.generation) this.activeRequests--;
             this._processQueue();
+            this._fillQueue();
         }
     }
 
+    /**
+     * Fetch a task's bytes, as up to MAX_CHUNKS parallel byte ranges once it is
+     * CHUNK_MIN_SIZE or more (see _runParallel). Falls back to one request where
+     * Range is ignored.
+     * @returns {Promise<ArrayBuffer>}
+     */
+    async _fetchSegment(task, signal) {
+        if (task.ranges) return this._fetchRanges(task, signal);
+
+        const size = await this._probeSize(task, signal);
+        const host = new URL(task.url).host;
+        if (size === null || size < CHUNK_MIN_SIZE || this.rangeSupport.get(host) === false) {
+            // Bytes come back encoded for the tab's transport mode (see shared/transport.js)
+            return decodeBinary(await this._proxyFetch(task.url, 'arraybuffer', task.rangeStart, task.rangeEnd, {}, signal));
+        }
+
+        const offset = task.rangeStart ?? 0;
+        const chunkSize = Math.ceil(size / Math.min(MAX_CHUNKS, Math.ceil(size / CHUNK_SIZE)));
+        const ranges = [];
+        for (let start = 0; start < size; start += chunkSize) {
+            ranges.push([offset + start, offset + Math.min(size, start + chunkSize) - 1]); // Inclusive
+        }
+
+        // First visit to this server: its first range alone tells whether Range is
+        // honoured. If not, the whole file came back and that is our answer.
+        let first = null;
+        if (!this.rangeSupport.has(host)) {
+            const response = await this._proxyRequest({
+                url: task.url,
+                responseType: 'arraybuffer',
+                range: `${ranges[0][0]}-${ranges[0][1]}`,
+                headers: {},
+                keepIgnoredRange: true
+            }, signal);
+            const bytes = decodeBinary(response.data);
+            this.rangeSupport.set(host, !response.rangeIgnored);
+            if (response.rangeIgnored) {
+                console.log(`[Downloader] ${host} ignores Range, fetching whole segments`);
+                return task.rangeStart !== null ? bytes.slice(task.rangeStart, task.rangeEnd + 1) : bytes;
+            }
+            first = bytes;
+        }
+
+        console.log(`[Downloader] Segment ${task.segmentId}: ${ranges.length} byte ranges (${(size / 1024 / 1024).toFixed(1)}MB)`);
+
+        // One failed range fails the segment: stop its siblings too
+        const chunks = new AbortController();
+        const stopChunks = () => chunks.abort();
+        signal.addEventListener('abort', stopChunks);
+        let parts;
+        try {
+            parts = await this._runParallel(ranges.map(([start, end], i) => () => (i === 0 && first)
+                ? first
+                : this._proxyFetch(task.url, 'arraybuffer', start, end, {}, chunks.signal).then(decodeBinary)), task.generation);
+        } catch (err) {
+            chunks.abort();
+            throw err;
+        } finally {
+            signal.removeEventListener('abort', stopChunks);
+        }
+
+        // A short range (truncated response) would leave zeros in the middle of the segment
+        ranges.forEach(([start, end], i) => checkLength(parts[i], start, end));
+
+        // Reassemble in order
+        const data = new Uint8Array(size);
+        let position = 0;
+        for (const part of parts) {
+            data.set(new Uint8Array(part), position);
+            position += part.byteLength;
+        }
+        return data.buffer;
+    }
+
+    /**
+     * Progressive MP4 fragments: their sample ranges, each fetched like a segment
+     * of its own (in parallel, chunked when big), concatenated in order
+     * @returns {Promise<ArrayBuffer>}
+     */
+    async _fetchRanges(task, signal) {
+        // One failed range fails the fragment: stop the others too
+        const ranges = new AbortController();
+        const stopRanges = () => ranges.abort();
+        signal.addEventListener('abort', stopRanges);
+        let parts;
+        try {
+            parts = await this._runParallel(task.ranges.map(([rangeStart, rangeEnd]) => () =>
+                this._fetchSegment({ ...task, ranges: null, rangeStart, rangeEnd }, ranges.signal)), task.generation);
+        } catch (err) {
+            ranges.abort();
+            throw err;
+        } finally {
+            signal.removeEventListener('abort', stopRanges);
+        }
+        task.ranges.forEach(([rangeStart, rangeEnd], i) => checkLength(parts[i], rangeStart, rangeEnd));
+
+        const data = new Uint8Array(parts.reduce((sum, part) => sum + part.byteLength, 0));
+        let position = 0;
+        for (const part of parts) {
+            data.set(new Uint8Array(part), position);
+            position += part.byteLength;
+        }
+        return data.buffer;
+    }
+
+    /**
+     * Run one segment's requests (byte ranges, sample ranges) side by side.
+     * Beyond the segment's own slot they take only the download slots
+     * concurrency leaves free, so a split segment opens no more requests
+     * than whole segments would.
+     * @param {Array<function(): Promise>} jobs
+     * @param {number} generation - The task's (_cancelPending() releases older slots itself)
+     * @returns {Promise<Array>} Results in job order
+     */
+    async _runParallel(jobs, generation) {
+        const extra = Math.max(0, Math.min(jobs.length - 1, this.concurrency - this.activeRequests));
+        this.activeRequests += extra;
+
+        const results = new Array(jobs.length);
+        let next = 0;
+        let failure = null; // First error: the others stop taking jobs
+        const worker = async () => {
+            while (next < jobs.length && !failure) {
+                const i = next++;
+                try {
+                    results[i] = await jobs[i]();
+                } catch (err) {
+                    failure = failure || { err };
+                    throw err;
+                }
+            }
+        };
+        // The borrowed slots stay taken until every worker is done, failed or not
+        await Promise.allSettled(Array.from({ length: extra + 1 }, worker));
+        if (generation === this.generation) {
+            this.activeRequests -= extra;
+            for (let i = 0; i < extra; i++) this._processQueue();
+        }
+        if (failure) throw failure.err;
+        return results;
+    }
+
+    /**
+     * Segment size in bytes, or null when unknown. Byte-range segments know it;
+     * others get a HEAD, but only when the variant's bitrate says they are
+     * big enough to split (a round trip per small segment isn't worth it).
+     */
+    async _probeSize(task, signal) {
+        if (task.rangeStart !== null && task.rangeEnd !== null) return task.rangeEnd - task.rangeStart + 1;
+        if (task.isInit) return null;
+
+        const meta = this.segmentMeta.get(task.segmentId);
+        const variant = meta && this.variants[meta.variantIndex];
+        const bitrate = variant && (variant.averageBandwidth || variant.bandwidth);
+        if (!bitrate || !meta.duration || bitrate * meta.duration / 8 < CHUNK_MIN_SIZE) return null;
+
+        try {
+            const response = await this._proxyRequest({ url: task.url, method: 'HEAD', headers: {} }, signal);
+            return response.size || null;
+        } catch (e) {
+            return null; // Servers that reject HEAD still serve GET
+        }
+    }
+
+    /**
+     * Requeue a failed task after a backoff, or give up on it. Given-up segments
+     * are reported to the player through GET_SEGMENT (see getFailure).
+     */
+    _handleFailure(task, err) {
+        const retryable = isRetryable(err);
+        if (!retryable || task.retries >= this.maxRetries) {
+            console.error(`[Downloader] Giving up on segment ${task.segmentId} after ${task.retries} retries:`, err);
+            this.failures.set(task.segmentId, { message: err.message, fatal: !retryable });
+            if (task.segmentId === this.urgentSegment) this.urgentSegment = null;
+            return;
+        }
+
+        // Half fixed, half random: parallel failures (a CDN hiccup hits every
+        // active request) don't all retry in lockstep
+        const backoff = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** task.retries);
+        const delay = Math.round(backoff / 2 + Math.random() * backoff / 2);
+        task.retries++;
+        console.warn(`[Downloader] Segment ${task.segmentId} failed (${err.message}), retry ${task.retries}/${this.maxRetries} in ${delay}ms`);
+
+        const timer = setTimeout(() => {
+            this.retryTimers.delete(timer);
+            if (task.generation !== this.generation) return;
+            this.queue.push(task);
+            this._processQueue();
+        }, delay);
+        this.retryTimers.set(timer, task);
+    }
+
     /**
      * Proxy Fetch via Content Script
-     * Routes all network requests through the original tab to inherit auth context.
+     * Routes all network requests through the original tab to inherit auth context
+     * (or directly, see _proxyRequest).
      * TIMEOUT: 30s - if original tab is dead/navigated, we fail gracefully.
      */
-    async _proxyFetch(url, responseType = 'text', rangeStart = null, rangeEnd = null, headers = {}) {
+    async _proxyFetch(url, responseType = 'text', rangeStart = null, rangeEnd = null, headers = {}, signal = null) {
+        const response = await this._proxyRequest({
+            url,
+            responseType,
+            range: (rangeStart !== null && rangeEnd !== null) ? `${rangeStart}-${rangeEnd}` : null,
+            headers
+        }, signal);
+        return response.data;
+    }
+
+    /**
+     * One request, through the tab or directly depending on fetchMode.
+     * 'auto' uses the tab and falls back to a direct fetch when the tab can't
+     * answer (navigated, no content script) or the page's XHR hit a network/CORS
+     * error. Resolves the sniffer's whole response ({data} for GET, {size} for
+     * HEAD, plus rangeIgnored).
+     * @param {Object} request - url, responseType, range, headers, and optionally
+     *   method ('HEAD') / keepIgnoredRange (return the whole body if Range is ignored)
+     * @param {AbortSignal} [signal]
+     */
+    async _proxyRequest(request, signal = null) {
+        if (this.fetchMode === 'direct' || (this.fetchMode === 'auto' && this.proxyUnavailable)) {
+            return this._directRequest(request, signal);
+        }
+
+        try {
+            return await this._tabRequest(request, signal);
+        } catch (err) {
+            const networkError = err.status === 0 && !err.proxyFailure && err.name !== 'AbortError';
+            if (this.fetchMode !== 'auto' || !(err.proxyFailure || networkError)) throw err;
+
+            if (err.proxyFailure && !this.proxyUnavailable) {
+                // The tab won't come back for this stream: stop asking it
+                console.warn(`[Downloader] Tab proxy unavailable (${err.message}), fetching directly from now on`);
+                this.proxyUnavailable = true;
+            }
+            return this._directRequest(request, signal);
+        }
+    }
+
+    /**
+     * FETCH_PROXY round trip through the original tab
+     * @param {AbortSignal} [signal] - Aborting sends FETCH_CANCEL, which stops the page's XHR
+     */
+    async _tabRequest(request, signal = null) {
         const PROXY_TIMEOUT_MS = 30000;
+        const requestId = crypto.randomUUID();
 
-        const fetchPromise = new Promise((resolve, reject) => {
+        return new Promise((resolve, reject) => {
             if (!this.tabId) {
-                return reject(new Error('No tabId for proxy fetch - original tab context lost'));
+                return reject(Object.assign(new Error('No tabId for proxy fetch - original tab context lost'), { proxyFailure: true }));
+            }
+            if (signal?.aborted) {
+                return reject(new DOMException('Proxy fetch aborted', 'AbortError'));
             }
 
+            let timeoutId = null;
+            const settle = (callback, value) => {
+                clearTimeout(timeoutId);
+                signal?.removeEventListener('abort', onAbort);
+                callback(value);
+            };
+            const cancelInPage = () => {
+                chrome.tabs.sendMessage(this.tabId, { action: 'FETCH_CANCEL', requestId }, { frameId: this.frameId }, () => void chrome.runtime.lastError);
+            };
+            const onAbort = () => {
+                cancelInPage();
+                settle(reject, new DOMException('Proxy fetch aborted', 'AbortError'));
+            };
+
+            signal?.addEventListener('abort', onAbort);
+            // A slow response is not a dead tab: retried like any other failure,
+            // it doesn't switch the session to direct fetches
+            timeoutId = setTimeout(() => {
+                cancelInPage();
+                settle(reject, Object.assign(new Error(`Proxy fetch timeout (${PROXY_TIMEOUT_MS}ms)`), { timeout: true }));
+            }, PROXY_TIMEOUT_MS);
+
             // Verify tab still exists before sending
             chrome.tabs.get(this.tabId, (tab) => {
                 if (chrome.runtime.lastError || !tab) {
-                    return reject(new Error(`Original tab ${this.tabId} no longer exists - stream dead`));
+                    return settle(reject, Object.assign(new Error(`Original tab ${this.tabId} no longer exists - stream dead`), { tabGone: true, proxyFailure: true }));
                 }
+                if (signal?.aborted) return;
 
                 chrome.tabs.sendMessage(this.tabId, {
                     action: 'FETCH_PROXY',
-                    url: url,
-                    responseType: responseType,
-                    range: (rangeStart !== null && rangeEnd !== null) ? `${rangeStart}-${rangeEnd}` : null,
-                    headers: headers
-                }, (response) => {
+                    ...request,
+                    requestId,
+                    transport: this.transport
+                }, { frameId: this.frameId }, (response) => {
                     if (chrome.runtime.lastError) {
-                        return reject(new Error(`Tab communication failed: ${chrome.runtime.lastError.message}`));
+                        return settle(reject, Object.assign(new Error(`Tab communication failed: ${chrome.runtime.lastError.message}`), { proxyFailure: true }));
                     }
                     if (response && response.success) {
-                        resolve(response.data);
+                        settle(resolve, response);
                     } else {
-                        reject(new Error(response ? response.error : 'Unknown proxy error'));
+                        // status: HTTP status from the page's XHR (0 for network errors/timeouts)
+                        settle(reject, Object.assign(new Error(response ? response.error : 'Unknown proxy error'), { status: response?.status ?? 0 }));
                     }
                 });
             });
         });
-
-        const timeoutPromise = new Promise((_, reject) => {
-            setTimeout(() => {
-                reject(new Error(`Proxy fetch timeout (${PROXY_TIMEOUT_MS}ms) - original tab may have navigated away`));
-            }, PROXY_TIMEOUT_MS);
-        });
-
-        return Promise.race([fetchPromise, timeoutPromise]);
     }
 
     /**
-     * Fetch with exponential backoff and Range support
-     * DEPRECATED: Replaced by _proxyFetch, keeping for reference or direct fallback
+     * Direct fetch from the extension context: the fallback when the tab can't
+     * proxy. The page's Referer/Origin/Authorization are added by session DNR
+     * rules (see header-rules.js); cookies go along for hosts we have access to.
+     * Resolves the same shape as the sniffer's FETCH_PROXY response.
      */
-    async _fetchWithRetry(task, controller = null) {
-        // ... implementation logic remains but unused/fallback ...
-        const MAX_RETRIES = 3;
-        const headers = {}; // Native fallback
+    async _directRequest(request, signal = null) {
+        const release = this.headerRules ? await this.headerRules.lease(request.url, signal) : () => {};
+
+        const headers = { ...request.headers };
+        if (request.range) headers['Range'] = `bytes=${request.range}`;
 
-        if (task.rangeStart !== null && task.rangeEnd !== null) {
-            headers['Range'] = `bytes=${task.rangeStart}-${task.rangeEnd}`;
+        let response;
+        try {
+            response = await fetch(request.url, {
+                method: request.method || 'GET',
+                headers,
+                signal,
+                credentials: 'include'
+            });
+        } finally {
+            release(); // The headers went out with the request; reading the body needs no rule
+        }
+        if (!response.ok) {
+            throw Object.assign(new Error(`HTTP ${response.status}: ${response.statusText}`), { status: response.status });
         }
 
-        const signal = controller ? controller.signal : undefined;
+        if (request.method === 'HEAD') {
+            return { success: true, size: Number(response.headers.get('Content-Length')) || null };
+        }
+        if (request.responseType === 'text') {
+            return { success: true, data: { text: await response.text() } };
+        }
 
-        try {
-            const response = await fetch(task.url, { headers, signal });
-            if (!response.ok) throw new Error(`HTTP ${response.status}`);
-            return await response.arrayBuffer();
-        } catch (e) {
-            throw e;
+        // Same contract as the interceptor: cut the range out if the server ignored it
+        let buffer = await response.arrayBuffer();
+        const rangeIgnored = !!request.range && response.status === 200;
+        if (rangeIgnored && !request.keepIgnoredRange) {
+            const [rangeStart, rangeEnd] = request.range.split('-').map(Number);
+            buffer = buffer.slice(rangeStart, rangeEnd + 1);
         }
+        return { success: true, data: { buffer }, rangeIgnored };
     }
 }
+
+/**
+ * A byte range's response must hold the whole range (inclusive ends)
+ */
+function checkLength(part, start, end) {
+    if (part.byteLength !== end - start + 1) {
+        throw new Error(`Range ${start}-${end} returned ${part.byteLength} of ${end - start + 1} bytes`);
+    }
+}
+
+/**
+ * Timeouts, network errors and 5xx are worth another try. Other 4xx (403/404/410...)
+ * won't change on retry, except 408 Request Timeout and 429 Too Many Requests.
+ * Neither do a closed tab or an error flagged fatal (unsupported encryption).
+ */
+function isRetryable(err) {
+    if (err.tabGone || err.fatal) return false;
+    const status = err.status || 0;
+    if (status >= 400 && status < 500) return status === 408 || status === 429;
+    return true;
+}
@@ -4,34 +4,119 @@
  */
 
 import { BufferManager } from './buffer-manager.js';
-import { SegmentDownloader } from './downloader.js';
+import { SegmentDownloader, DEFAULT_MAX_RETRIES } from './downloader.js';
+import { ABRController } from './abr-controller.js';
+import { HeaderRules } from './header-rules.js';
+import { MseCapture } from './mse-capture.js';
+import { isMasterPlaylist, parseMasterPlaylist, selectVariant } from '../shared/hls-playlist.js';
+import { parseMpd } from '../shared/dash-manifest.js';
+import { TRANSPORT_BASE64, detectTransport, encodeBinary, decodeBinary } from '../shared/transport.js';
+import { classifyUrl, classifyContentType, classifyMediaType, classifyMediaUrl, isProgressive, isSniffCandidate } from '../shared/stream-type.js';
+
+// Default variant selection policy (overridable via chrome.storage.local 'variantPolicy')
+// Mobile screens rarely benefit from more than 720p, so auto mode caps there.
+const DEFAULT_VARIANT_POLICY = { mode: 'auto', maxHeight: 720, maxBandwidth: null };
+
+// How the downloader reaches servers, per site (the popup's site setting, stored in
+// chrome.storage.local 'fetchModes', { [hostname]: mode }): 'auto' = through the tab, direct when the tab can't;
+// 'proxy' = tab only; 'direct' = extension context only
+const DEFAULT_FETCH_MODE = 'auto';
+const FETCH_MODES = ['auto', 'proxy', 'direct'];
+
+// Query parameters that only defeat caches: URLs differing in these are the same stream
+const CACHE_BUSTING_PARAMS = ['_', 't', 'ts', 'cb', 'cachebuster', 'rnd', 'rand', 'random', 'nocache'];
+// Ads and previews on long-lived pages keep adding candidates; later ones are ignored
+const MAX_STREAMS_PER_TAB = 20;
+
+// Content-Type detection (see responseCallback)
+const MAX_PENDING_HEADERS = 500;
+const MAX_SNIFF_CANDIDATES = 200;
+
+// A recording's byte counts are persisted at most this often (and when it stops)
+const CAPTURE_SAVE_INTERVAL_MS = 5000;
+
+// In-page player, injected into the stream's frame in this order: the shared libs
+// it uses (classic-script copies scripts/build.js writes to page/), then itself
+const PLAYER_SCRIPTS = ['page/hls-playlist.js', 'page/container.js', 'content/player-overlay.js'];
+
+// Periodic sweep of segments left behind by sessions that no longer exist
+const GC_ALARM = 'faststream-gc';
+const GC_PERIOD_MINUTES = 15;
 
 // State maps
-// sessions: streamId -> { tabId, bufferManager, downloader, streamInfo, active }
-// tabMap: tabId -> streamId (One stream per tab Rule)
+// sessions: streamId -> { tabId, bufferManager, abr, downloader, downloaders, headerRules, capture, streamInfo, active }
+// downloaders: track -> SegmentDownloader ('main' for HLS and progressive files, 'video' + 'audio' for DASH);
+// downloader is the ABR-driven one of them; capture: MseCapture of MSE streams (null for others)
+// tabMap: tabId -> Map(catalog key -> streamId), every distinct stream detected in the tab
+// (key = frame + canonical URL, see catalogKey)
 const sessions = new Map();
 const tabMap = new Map();
 const requestHeadersMap = new Map();
+// url -> request headers of text/plain responses the interceptor may confirm
+// as manifests from their body (see isSniffCandidate)
+const sniffCandidates = new Map();
 
 // ============================================================================
-// HEADER CAPTURE (Fix for 403 Forbidden)
+// HEADER CAPTURE (Fix for 403 Forbidden) & CONTENT-TYPE DETECTION
 // ============================================================================
+// Request headers of XHRs (and media element loads) whose URL doesn't say what
+// they are, kept until the response's Content-Type does (requestId -> headers)
+const pendingHeaders = new Map();
+
 const headerCallback = (details) => {
-    if (details.type === 'xmlhttprequest' && (details.url.includes('.m3u8') || details.url.includes('.mpd'))) {
-        const headers = {};
-        if (details.requestHeaders) {
-            details.requestHeaders.forEach(h => {
-                // Filter out internal headers if needed, but for spoofing we usually want them
-                if (!['Host', 'Content-Length'].includes(h.name)) {
-                    headers[h.name] = h.value;
-                }
-            });
-        }
-        // Store by URL
-        requestHeadersMap.set(details.url, headers);
+    if (details.type !== 'xmlhttprequest' && details.type !== 'media') return;
+
+    const headers = {};
+    if (details.requestHeaders) {
+        details.requestHeaders.forEach(h => {
+            // Filter out internal headers if needed, but for spoofing we usually want them
+            if (!['Host', 'Content-Length'].includes(h.name)) {
+                headers[h.name] = h.value;
+            }
+        });
+    }
 
-        // Cleanup old entries periodically? For prototype, map size is negligible.
+    if (classifyUrl(details.url)) {
+        // Store by URL: the interceptor reports the stream before its response arrives
+        requestHeadersMap.set(details.url, headers);
         console.log('[Engine] Captured headers for:', details.url);
+    } else if (details.tabId >= 0) {
+        pendingHeaders.set(details.requestId, headers);
+        // Requests that never reach onHeadersReceived (blocked, cached) must not pile up
+        if (pendingHeaders.size > MAX_PENDING_HEADERS) {
+            pendingHeaders.delete(pendingHeaders.keys().next().value);
+        }
+    }
+};
+
+/**
+ * Manifests served from URLs without a telling extension (signed
+ * `/playlist?id=...` URLs) are recognised by their Content-Type.
+ * text/plain responses are confirmed by the interceptor, which sniffs the start
+ * of the page's own response body; we only keep their request headers.
+ * Media element loads of MP4 / WebM files are progressive streams.
+ */
+const responseCallback = (details) => {
+    const headers = pendingHeaders.get(details.requestId);
+    pendingHeaders.delete(details.requestId);
+
+    // tabId -1: the extension's own fetches (direct downloads); redirects come round again
+    if (details.tabId < 0 || details.statusCode < 200 || details.statusCode >= 300) return;
+
+    const contentType = details.responseHeaders?.find(h => h.name.toLowerCase() === 'content-type')?.value;
+    const type = classifyContentType(contentType);
+    if (type === 'hls' || type === 'dash') {
+        reportResponseDetection(details, type, headers);
+    } else if (details.type === 'media') {
+        const mediaType = classifyMediaType(contentType) || classifyMediaUrl(details.url);
+        if (mediaType) {
+            reportResponseDetection(details, mediaType, headers, { method: 'media-request', size: responseSize(details) });
+        }
+    } else if (headers && details.type === 'xmlhttprequest' && isSniffCandidate(details.url, contentType)) {
+        sniffCandidates.set(details.url, headers);
+        if (sniffCandidates.size > MAX_SNIFF_CANDIDATES) {
+            sniffCandidates.delete(sniffCandidates.keys().next().value);
+        }
     }
 };
 
@@ -52,6 +137,49 @@ try {
     );
 }
 
+chrome.webRequest.onHeadersReceived.addListener(
+    responseCallback,
+    { urls: ["<all_urls>"], types: ['xmlhttprequest', 'media'] },
+    ["responseHeaders"]
+);
+chrome.webRequest.onErrorOccurred.addListener(
+    (details) => pendingHeaders.delete(details.requestId),
+    { urls: ["<all_urls>"], types: ['xmlhttprequest', 'media'] }
+);
+
+/**
+ * Whole file size from a response: Content-Range's total for the ranged
+ * requests media elements make, else Content-Length of a full response
+ */
+function responseSize(details) {
+    const header = name => details.responseHeaders?.find(h => h.name.toLowerCase() === name)?.value;
+    const total = /\/(\d+)\s*$/.exec(header('content-range') || '');
+    if (total) return Number(total[1]);
+    return details.statusCode === 200 ? Number(header('content-length')) || null : null;
+}
+
+/**
+ * @param {Object} [extra] - Payload fields beyond the defaults (method, size)
+ */
+async function reportResponseDetection(details, type, headers, extra = {}) {
+    if (headers) requestHeadersMap.set(details.url, headers);
+
+    let tab;
+    try {
+        tab = await chrome.tabs.get(details.tabId);
+    } catch (e) {
+        return; // Tab closed meanwhile
+    }
+    // Like the interceptor's reports: the page's site picks the fetch mode
+    handleStreamDetection(details.tabId, details.frameId || 0, {
+        url: details.url,
+        method: 'content-type',
+        type,
+        pageUrl: tab.url,
+        ...extra
+    });
+}
+
 // ============================================================================
 // LIFECYCLE MANAGEMENT
 // ============================================================================
@@ -66,13 +194,13 @@ async function saveSessionState(streamId) {
     const state = {
         streamId,
         tabId: session.tabId,
+        catalogKey: session.catalogKey,
         streamInfo: session.streamInfo,
         active: session.active,
         timestamp: Date.now()
     };
+    // The tab's catalog is rebuilt from these records (see getTabStreamIds)
     await chrome.storage.session.set({ [`session_${streamId}`]: state });
-    // Also save tab mapping
-    await chrome.storage.session.set({ [`tab_${session.tabId}`]: streamId });
 }
 
 /**
@@ -88,24 +216,144 @@ async function restoreSession(streamId) {
     if (state) {
         console.log('[Engine] Restoring session:', streamId);
         // Re-initialize non-serializable objects
-        const bufferManager = new BufferManager(state.tabId);
-        const downloader = new SegmentDownloader(bufferManager, state.tabId);
-
-        const session = {
-            streamId,
-            tabId: state.tabId,
-            bufferManager,
-            downloader,
-            streamInfo: state.streamInfo,
-            active: state.active
-        };
+        const session = createSession(streamId, state.tabId, state.streamInfo, state.active);
+        session.catalogKey = state.catalogKey || catalogKey(state.streamInfo.frameId || 0, state.streamInfo);
         sessions.set(streamId, session);
-        tabMap.set(state.tabId, streamId);
+        addToCatalog(state.tabId, session.catalogKey, streamId);
         return session;
     }
     return null;
 }
 
+/**
+ * Every stream id a tab has: the in-memory catalog plus persisted sessions
+ * (the service worker may have restarted since they were detected)
+ */
+async function getTabStreamIds(tabId) {
+    const ids = new Set(tabMap.get(tabId)?.values());
+    const stored = await chrome.storage.session.get(null);
+    for (const [key, state] of Object.entries(stored)) {
+        if (key.startsWith('session_') && state.tabId === tabId) ids.add(state.streamId);
+    }
+    return [...ids];
+}
+
+function addToCatalog(tabId, key, streamId) {
+    if (!tabMap.has(tabId)) tabMap.set(tabId, new Map());
+    tabMap.get(tabId).set(key, streamId);
+}
+
+function removeFromCatalog(tabId, streamId) {
+    const catalog = tabMap.get(tabId);
+    if (!catalog) return;
+    for (const [key, id] of catalog) {
+        if (id === streamId) catalog.delete(key);
+    }
+    if (catalog.size === 0) tabMap.delete(tabId);
+}
+
+/**
+ * Catalog key: the frame plus the stream's canonical URL. MSE detections carry
+ * no URL, so each frame has at most one.
+ */
+function catalogKey(frameId, payload) {
+    return `${frameId}|${payload.url ? canonicalUrl(payload.url) : 'mse'}`;
+}
+
+/**
+ * URL without its fragment and cache-busting parameters (remaining parameters sorted)
+ */
+function canonicalUrl(href) {
+    try {
+        const url = new URL(href);
+        url.hash = '';
+        CACHE_BUSTING_PARAMS.forEach(param => url.searchParams.delete(param));
+        url.searchParams.sort();
+        return url.href;
+    } catch (e) {
+        return href;
+    }
+}
+
+/**
+ * Canonical URLs of an HLS stream's variant and rendition playlists
+ */
+function subPlaylistUrls(streamInfo) {
+    if (streamInfo.type !== 'hls') return [];
+    return [...(streamInfo.variants || []), ...(streamInfo.renditions || [])]
+        .filter(playlist => playlist.uri)
+        .map(playlist => canonicalUrl(playlist.uri));
+}
+
+/**
+ * Streams of the tab whose master playlist lists `url`
+ */
+function findMasterOf(tabId, url) {
+    const canonical = canonicalUrl(url);
+    for (const streamId of tabMap.get(tabId)?.values() || []) {
+        const session = sessions.get(streamId);
+        if (session && subPlaylistUrls(session.streamInfo).includes(canonical)) return session;
+    }
+    return null;
+}
+
+/**
+ * Build a session with its per-stream pipeline (buffer, ABR, downloaders)
+ */
+function createSession(streamId, tabId, streamInfo, active) {
+    const bufferManager = new BufferManager(tabId);
+    const abr = new ABRController();
+    const downloader = new SegmentDownloader(bufferManager, tabId, abr); // Pass tabId for proxy fetch
+    const headerRules = new HeaderRules(streamInfo.headers);
+
+    // DASH keeps audio in its own representations; it has no ABR of its own (best rung)
+    const downloaders = streamInfo.type === 'dash'
+        ? { video: downloader, audio: new SegmentDownloader(bufferManager, tabId) }
+        : { main: downloader };
+    Object.values(downloaders).forEach(d => {
+        d.headerRules = headerRules;
+        // Embedded players live in (often cross-origin) iframes: fetch from the stream's own frame
+        d.frameId = streamInfo.frameId || 0;
+    });
+
+    // Manual policies pin the quality; only 'auto' lets ABR move
+    if (streamInfo.variantMode && streamInfo.variantMode !== 'auto') {
+        abr.lockQuality(streamInfo.variantIndex);
+    }
+
+    // MSE streams have no URL to download: the popup can record the page's appends instead
+    let capture = null;
+    if (streamInfo.type === 'mse') {
+        capture = new MseCapture(bufferManager, streamId, streamInfo.capture);
+        streamInfo.capture = capture.state; // Persisted with the session
+    }
+
+    return { streamId, tabId, bufferManager, abr, downloader, downloaders, headerRules, capture, streamInfo, active };
+}
+
+/**
+ * Apply the user's settings to a session's downloaders (before they fetch anything)
+ */
+async function configureSession(session) {
+    const [maxRetries, fetchMode] = await Promise.all([getRetryLimit(), getFetchMode(session.streamInfo)]);
+    Object.values(session.downloaders).forEach(d => {
+        d.maxRetries = maxRetries;
+        d.fetchMode = fetchMode;
+    });
+}
+
+/**
+ * Tracks the player should request, in CONNECTED order.
+ * resolveVariants narrows DASH to the adaptation types the MPD actually has.
+ */
+function getTracks(session) {
+    return session.streamInfo.tracks || Object.keys(session.downloaders);
+}
+
+function getTrackDownloader(session, track) {
+    return session.downloaders[track] || session.downloader;
+}
+
 // ============================================================================
 // MESSAGING & CONTROL PLANE
 // ============================================================================
@@ -117,79 +365,287 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
     if (message.action === 'STREAM_FOUND' || message.action === 'MSE_INIT') {
         const tabId = sender.tab.id;
-        handleStreamDetection(tabId, message.payload);
+        const payload = message.action === 'MSE_INIT'
+            ? { ...message.payload, type: 'mse', method: 'mse' }
+            : message.payload;
+        // The page's site picks the fetch mode (fetchModes)
+        handleStreamDetection(tabId, sender.frameId || 0, { ...payload, pageUrl: sender.tab.url });
     }
     else if (message.action === 'GET_STREAMS') {
-        // Popup asking for streams on current tab
-        const tabId = message.tabId;
-        const streamId = tabMap.get(tabId);
-        if (streamId) {
-            // Ensure session is loaded
-            const session = sessions.get(streamId);
-            if (session) {
-                sendResponse({ streams: [{ ...session.streamInfo, id: streamId }] });
-            } else {
-                // Stale tab map? Try to restore
-                restoreSession(streamId).then(restoredSession => {
-                    if (restoredSession) {
-                        sendResponse({ streams: [{ ...restoredSession.streamInfo, id: streamId }] });
-                    } else {
-                        sendResponse({ streams: [] });
-                    }
-                });
-                return true; // Keep channel open for async response
-            }
-        } else {
-            sendResponse({ streams: [] });
-        }
+        // Popup asking for every stream on the current tab, oldest first
+        getTabStreamIds(message.tabId)
+            .then(ids => Promise.all(ids.map(restoreSession)))
+            .then(restored => {
+                const streams = restored
+                    .filter(Boolean)
+                    .map(session => ({ ...session.streamInfo, id: session.streamId }))
+                    .sort((a, b) => (a.detectedAt || 0) - (b.detectedAt || 0));
+                sendResponse({ streams });
+            })
+            .catch(e => {
+                console.warn('[Engine] GET_STREAMS failed:', e);
+                sendResponse({ streams: [] });
+            });
+        return true; // Keep channel open for async response
+    }
+    else if (message.action === 'INJECT_PLAYER_SCRIPTS') {
+        // The sniffer of the stream's frame, asked by the popup to launch the player
+        injectPlayer(sender.tab.id, sender.frameId || 0, message.streamInfo)
+            .then(() => sendResponse({ success: true }))
+            .catch(e => sendResponse({ success: false, error: e.message }));
+        return true;
+    }
+    else if (message.action === 'CAPTURE_START' || message.action === 'CAPTURE_STOP') {
+        // Popup opting an MSE stream in or out of recording
+        setCapture(message.streamId, message.action === 'CAPTURE_START')
+            .then(sendResponse)
+            .catch(e => sendResponse({ success: false, error: e.message }));
+        return true;
     }
     return true; // Keep channel open for async response
 });
 
-async function handleStreamDetection(tabId, payload) {
-    // Rule 1: Dedupe - One session per tab
-    if (tabMap.has(tabId)) {
-        console.log(`[Engine] Ignoring duplicate stream for tab ${tabId}`);
+/**
+ * Run the player in a frame's MAIN world. chrome.scripting injects files and
+ * functions past the page's CSP, which blocks inline <script> text.
+ */
+async function injectPlayer(tabId, frameId, streamInfo) {
+    const target = { tabId, frameIds: [frameId] };
+    await chrome.scripting.executeScript({
+        target,
+        world: 'MAIN',
+        func: (info) => { window.__FASTSTREAM_STREAM_INFO__ = info; },
+        args: [streamInfo]
+    });
+    await chrome.scripting.executeScript({ target, world: 'MAIN', files: PLAYER_SCRIPTS });
+}
+
+/**
+ * Start or stop recording an MSE stream's SourceBuffer appends, in the frame
+ * it was found in
+ */
+async function setCapture(streamId, on) {
+    const session = await restoreSession(streamId);
+    if (!session || !session.capture) return { success: false, error: 'Not an MSE stream' };
+
+    if (on) {
+        if (!(await session.capture.start())) {
+            return { success: false, error: 'Captures already fill their share of the buffer' };
+        }
+    } else {
+        session.capture.stop();
+        // Chunk saves are throttled: let the one being stored land in the saved counts
+        await session.capture.pending.catch(() => {});
+    }
+    await saveSessionState(streamId);
+
+    try {
+        await chrome.tabs.sendMessage(session.tabId, { action: on ? 'CAPTURE_START' : 'CAPTURE_STOP' }, { frameId: session.streamInfo.frameId || 0 });
+    } catch (e) {
+        // Stopping needs no page: chunks that still arrive are dropped
+        if (on) {
+            session.capture.stop();
+            await saveSessionState(streamId);
+            return { success: false, error: `Page not reachable: ${e.message}` };
+        }
+    }
+    console.log(`[Engine] MSE capture ${on ? 'started' : 'stopped'}:`, streamId);
+    return { success: true, capture: session.capture.state };
+}
+
+async function handleStreamDetection(tabId, frameId, payload) {
+    // Rule 1: Dedupe - one session per distinct stream (frame + canonical URL)
+    const key = catalogKey(frameId, payload);
+    const catalog = tabMap.get(tabId);
+    if (catalog?.has(key)) {
+        console.log(`[Engine] Ignoring duplicate stream for tab ${tabId}:`, key);
+        return;
+    }
+    // The page's player loading a known master playlist's variants is not a new stream
+    if (payload.type === 'hls' && payload.url && findMasterOf(tabId, payload.url)) {
+        console.log(`[Engine] Ignoring variant playlist for tab ${tabId}:`, payload.url);
+        return;
+    }
+    if (catalog && catalog.size >= MAX_STREAMS_PER_TAB) {
+        console.warn(`[Engine] Tab ${tabId} has ${catalog.size} streams, ignoring:`, key);
         return;
     }
 
     const streamId = crypto.randomUUID();
     console.log('[Engine] New Stream Created:', streamId, payload);
 
-    const bufferManager = new BufferManager(tabId);
-    const downloader = new SegmentDownloader(bufferManager, tabId); // Pass tabId for proxy fetch
-
     // Attach captured headers if available
-    const capturedHeaders = requestHeadersMap.get(payload.url) || {};
+    const capturedHeaders = requestHeadersMap.get(payload.url) || sniffCandidates.get(payload.url) || {};
     // Merge? Payload might have some, but captured are better for auth.
     // If payload has headers, keep them?
     const startHeaders = { ...capturedHeaders };
 
-    const session = {
-        streamId,
-        tabId,
-        bufferManager,
-        downloader,
-        streamInfo: { ...payload, headers: startHeaders },
-        active: true
+    // Detection method and time let the popup tell trailers and ads from the main video
+    const streamInfo = {
+        ...payload,
+        method: payload.method || 'unknown',
+        frameId,
+        detectedAt: Date.now(),
+        headers: startHeaders
     };
+    const session = createSession(streamId, tabId, streamInfo, true);
+    session.catalogKey = key;
 
     sessions.set(streamId, session);
-    tabMap.set(tabId, streamId);
+    addToCatalog(tabId, key, streamId);
     await saveSessionState(streamId);
+    await configureSession(session);
+
+    // Resolve variants up front so the popup and player can show them
+    if (payload.type === 'hls' && payload.url) {
+        await resolveVariants(session);
+        await dropSubPlaylists(session);
+    } else if (payload.type === 'dash' && payload.url) {
+        await resolveRepresentations(session);
+    } else if (isProgressive(payload.type) && payload.url) {
+        await resolveProgressive(session);
+    }
 
     // Show Page Action
     chrome.action.setIcon({ tabId, path: "icons/icon48.png" });
-    chrome.action.setBadgeText({ tabId, text: "ON" });
+    chrome.action.setBadgeText({ tabId, text: String(tabMap.get(tabId)?.size || 1) });
     chrome.action.setBadgeBackgroundColor({ tabId, color: "#4CAF50" });
 }
 
+/**
+ * End the tab's streams that turned out to be variants of `session`'s master
+ * playlist (the page's player fetched them before the master was resolved)
+ */
+async function dropSubPlaylists(session) {
+    const urls = new Set(subPlaylistUrls(session.streamInfo));
+    if (urls.size === 0) return;
+
+    for (const streamId of [...(tabMap.get(session.tabId)?.values() || [])]) {
+        const other = sessions.get(streamId);
+        if (streamId === session.streamId || !other?.streamInfo.url) continue;
+        if (urls.has(canonicalUrl(other.streamInfo.url))) {
+            console.log('[Engine] Dropping variant playlist stream:', other.streamInfo.url);
+            await endSession(streamId, session.tabId);
+        }
+    }
+}
+
+/**
+ * Fetch the stream's playlist and, if it is a master playlist, record every
+ * variant in streamInfo and pick one according to the user's policy.
+ */
+async function resolveVariants(session) {
+    const { streamInfo } = session;
+    try {
+        const text = await session.downloader.fetchText(streamInfo.url, streamInfo.headers);
+        if (!isMasterPlaylist(text)) return; // Already a media playlist
+
+        const { variants, renditions } = parseMasterPlaylist(text, streamInfo.url);
+        const policy = await getVariantPolicy();
+        const variantIndex = selectVariant(variants, policy);
+
+        streamInfo.variants = variants;
+        streamInfo.renditions = renditions;
+        streamInfo.variantIndex = variantIndex;
+        streamInfo.variantMode = policy.mode;
+        if (policy.mode !== 'auto') session.abr.lockQuality(variantIndex);
+        console.log(`[Engine] ${variants.length} variants, selected #${variantIndex} (${policy.mode})`);
+
+        await saveSessionState(session.streamId);
+    } catch (e) {
+        // Not fatal: the downloader/player fall back to resolving the playlist themselves
+        console.warn('[Engine] Variant resolution failed:', e.message);
+    }
+}
+
+/**
+ * Progressive files: size and duration for the popup. The downloader keeps
+ * what it read (first bytes, moov location) for when playback starts.
+ */
+async function resolveProgressive(session) {
+    const { streamInfo } = session;
+    try {
+        const { size, duration } = await session.downloader.inspectFile(streamInfo);
+        streamInfo.size = size;
+        streamInfo.duration = duration;
+        console.log(`[Engine] ${streamInfo.type.toUpperCase()} file: ${size} bytes, ${duration ?? '?'}s`);
+
+        await saveSessionState(session.streamId);
+    } catch (e) {
+        // Not fatal: the downloader tries again on start
+        console.warn('[Engine] Progressive file inspection failed:', e.message);
+    }
+}
+
+/**
+ * DASH counterpart of resolveVariants: video representations become the
+ * variant ladder (same policy), audio representations are listed for the popup.
+ * Segment addressing is left out; the downloaders re-read the MPD on start.
+ */
+async function resolveRepresentations(session) {
+    const { streamInfo } = session;
+    try {
+        const text = await session.downloader.fetchText(streamInfo.url, streamInfo.headers);
+        const manifest = parseMpd(text, streamInfo.url);
+        const describe = ({ periods, ...rep }) => rep;
+        const policy = await getVariantPolicy();
+        const variantIndex = selectVariant(manifest.video, policy);
+
+        streamInfo.variants = manifest.video.map(describe);
+        streamInfo.audioTracks = manifest.audio.map(describe);
+        streamInfo.variantIndex = variantIndex;
+        streamInfo.variantMode = policy.mode;
+        streamInfo.tracks = ['video', 'audio'].filter(track => manifest[track].length > 0);
+        if (policy.mode !== 'auto') session.abr.lockQuality(variantIndex);
+        console.log(`[Engine] MPD: ${manifest.video.length} video / ${manifest.audio.length} audio representations, selected #${variantIndex} (${policy.mode})`);
+
+        await saveSessionState(session.streamId);
+    } catch (e) {
+        // Not fatal: the downloaders parse the MPD again on start
+        console.warn('[Engine] MPD resolution failed:', e.message);
+    }
+}
+
+/**
+ * Retries per failed segment (overridable via chrome.storage.local 'maxSegmentRetries')
+ */
+async function getRetryLimit() {
+    const { maxSegmentRetries } = await chrome.storage.local.get('maxSegmentRetries');
+    return Number.isInteger(maxSegmentRetries) && maxSegmentRetries >= 0 ? maxSegmentRetries : DEFAULT_MAX_RETRIES;
+}
+
+/**
+ * Fetch mode for the stream's site: the page's hostname, else the manifest's
+ */
+async function getFetchMode(streamInfo) {
+    const { fetchModes } = await chrome.storage.local.get('fetchModes');
+    let site = null;
+    try {
+        site = new URL(streamInfo.pageUrl || streamInfo.url).hostname;
+    } catch (e) { /* no usable URL: default mode */ }
+    const mode = fetchModes && site ? fetchModes[site] : null;
+    return FETCH_MODES.includes(mode) ? mode : DEFAULT_FETCH_MODE;
+}
+
+async function getVariantPolicy() {
+    const { variantPolicy } = await chrome.storage.local.get('variantPolicy');
+    return { ...DEFAULT_VARIANT_POLICY, ...variantPolicy };
+}
+
 // 2. Comm Bridge for Player (MSE) - The Main Control Plane
 chrome.runtime.onConnect.addListener((port) => {
     if (port.name === 'faststream-player') {
         let currentStreamId = null;
+        let transport = TRANSPORT_BASE64; // Until the sniffer's probe says ArrayBuffers survive
 
         port.onMessage.addListener(async (msg) => {
+            // First message on every port: can this browser's messaging carry ArrayBuffers?
+            if (msg.action === 'TRANSPORT_PROBE') {
+                transport = detectTransport(msg.probe);
+                console.log('[Engine] Binary transport:', transport);
+                return;
+            }
+
             // Handshake
             if (msg.action === 'CONNECT') {
                 currentStreamId = msg.streamId;
@@ -201,12 +657,28 @@ chrome.runtime.onConnect.addListener((port) => {
                     port.postMessage({ action: 'ERROR', message: 'Session not found' });
                 } else {
                     console.log('[Engine] Session found. Starting Downloader...');
-                    // START THE DOWNLOADER
-                    session.downloader.start(session.streamInfo);
+                    await configureSession(session);
+                    // Segment fetches come back through the same tab, so they share the port's mode
+                    Object.values(session.downloaders).forEach(d => { d.transport = transport; });
+                    const tracks = getTracks(session);
+                    // START THE DOWNLOADERS (resolve the start sequence before we answer)
+                    await Promise.all(tracks.map(track => session.downloaders[track].start({
+                        ...session.streamInfo,
+                        track,
+                        // Tracks share the IndexedDB store, so each needs its own key space
+                        streamId: track === 'audio' ? `${currentStreamId}:audio` : currentStreamId
+                    })));
+                    // A relaunched player picks up a session its predecessor paused on close
+                    tracks.forEach(track => session.downloaders[track].resume());
+                    session.active = true;
 
+                    const primary = session.downloaders[tracks[0]];
                     port.postMessage({
                         action: 'CONNECTED',
-                        startId: session.downloader.mediaSequence || 0
+                        duration: primary.getDuration(),
+                        live: primary.live,
+                        seekable: tracks.every(track => session.downloaders[track].isSeekable()),
+                        tracks: tracks.map(track => describeTrack(track, session.downloaders[track]))
                     });
                 }
                 return;
@@ -219,43 +691,51 @@ chrome.runtime.onConnect.addListener((port) => {
 
             switch (msg.action) {
                 case 'GET_SEGMENT':
-                    // Player asking for data
-                    const data = await session.bufferManager.getSegment(session.streamId, msg.segmentId);
-                    if (data) {
-                        port.postMessage({
-                            action: 'SEGMENT_DATA',
-                            segmentId: msg.segmentId,
-                            data: Array.from(new Uint8Array(data))
-                        });
-                    } else {
-                        // Cache miss - trigger download logic?
-                        // For now check if we should be downloading
-                    }
+                    // Player asking for data; it also tells the downloader where playback is
+                    await answerSegmentRequest(port, session, msg, transport);
+                    break;
+
+                case 'BUFFER_STATUS':
+                    // Player buffer level drives ABR decisions and concurrency
+                    getTracks(session).forEach(track => session.downloaders[track].updateBufferLevel(msg.bufferLevel));
                     break;
 
-                case 'SEEK':
+                case 'SEEK': {
                     console.log('[Engine] SEEK signal received:', msg.time);
-                    // 1. Pause Downloader
-                    session.downloader.reset();
-                    // 2. Clear future buffer (optional, depending on seek distance)
-                    // 3. Determine new segment index based on time
-                    // 4. Start downloading from new index
-                    // ... Implementation placeholder ...
-
-                    // Ack
-                    port.postMessage({ action: 'SEEK_ACK', time: msg.time });
+                    // Cancel in-flight fetches and requeue every track from the segment containing msg.time
+                    const targets = {};
+                    for (const track of getTracks(session)) {
+                        const target = session.downloaders[track].seek(msg.time);
+                        if (target) targets[track] = { segmentId: target.segmentId, segmentStart: target.start };
+                    }
+                    const first = targets[getTracks(session)[0]];
+                    if (!first) {
+                        // Nothing was cancelled: the player picks up where it was
+                        port.postMessage({ action: 'SEEK_FAILED', time: msg.time, message: 'Playlist not loaded or not seekable' });
+                        break;
+                    }
+
+                    // Ack with where the player should resume requesting
+                    port.postMessage({
+                        action: 'SEEK_ACK',
+                        time: msg.time,
+                        segmentId: first.segmentId,
+                        segmentStart: first.segmentStart,
+                        tracks: targets
+                    });
                     break;
+                }
 
                 case 'PAUSE':
                     console.log('[Engine] PAUSE signal');
-                    session.downloader.pause();
+                    getTracks(session).forEach(track => session.downloaders[track].pause());
                     session.active = false;
                     saveSessionState(currentStreamId);
                     break;
 
                 case 'RESUME':
                     console.log('[Engine] RESUME signal');
-                    session.downloader.resume();
+                    getTracks(session).forEach(track => session.downloaders[track].resume());
                     session.active = true;
                     saveSessionState(currentStreamId);
                     break;
@@ -271,21 +751,226 @@ chrome.runtime.onConnect.addListener((port) => {
             console.log('[Engine] Player disconnected');
             // Don't kill session immediately, user might just be refreshing or navigating
         });
+    } else if (port.name === 'faststream-capture') {
+        handleCapturePort(port);
     }
 });
 
+/**
+ * MSE_APPEND chunks from a recording frame's sniffer. A frame has one MSE
+ * stream (see catalogKey), so the port's sender names the session.
+ */
+function handleCapturePort(port) {
+    const tabId = port.sender.tab.id;
+    const key = catalogKey(port.sender.frameId || 0, {});
+    let queue = Promise.resolve(); // Looking the session up is async: keep chunks in order
+    let lastSave = 0;
+
+    const save = async (session) => {
+        lastSave = Date.now();
+        await saveSessionState(session.streamId);
+    };
+
+    const handle = async (msg) => {
+        if (msg.action === 'TRANSPORT_PROBE') {
+            // The sniffer encodes chunks for whatever this channel carries
+            port.postMessage({ action: 'TRANSPORT', mode: detectTransport(msg.probe) });
+            return;
+        }
+        if (msg.action !== 'MSE_APPEND') return;
+
+        const session = await findSessionByKey(tabId, key);
+        const stored = session?.capture ? await session.capture.append(msg.payload, decodeBinary(msg.data)) : false;
+        // A dropped chunk may have changed the status (full, failed): save that right away
+        if (session?.capture && (!stored || Date.now() - lastSave >= CAPTURE_SAVE_INTERVAL_MS)) {
+            await save(session);
+        }
+        if (!stored) {
+            // Not recording (stopped, full, stream ended): the page can stop copying
+            port.postMessage({ action: 'CAPTURE_STOP' });
+        }
+    };
+    port.onMessage.addListener((msg) => {
+        queue = queue.then(() => handle(msg)).catch(e => console.warn('[Engine] Capture chunk failed:', e));
+    });
+    // Frame gone or recording stopped: persist what the last chunks added
+    port.onDisconnect.addListener(() => {
+        queue = queue.then(async () => {
+            const session = sessions.get(tabMap.get(tabId)?.get(key));
+            if (session?.capture) await save(session);
+        }).catch(e => console.warn('[Engine] Capture state save failed:', e));
+    });
+}
+
+/**
+ * A tab's session by catalog key, restoring the tab's sessions if the
+ * service worker restarted since detection
+ */
+async function findSessionByKey(tabId, key) {
+    if (!tabMap.get(tabId)?.has(key)) {
+        await Promise.all((await getTabStreamIds(tabId)).map(restoreSession));
+    }
+    const streamId = tabMap.get(tabId)?.get(key);
+    return streamId ? restoreSession(streamId) : null;
+}
+
+/**
+ * What the player needs to set up a track's SourceBuffer(s).
+ * 'main' (HLS) is MPEG-TS that the player transmuxes or fMP4 with #EXT-X-MAP;
+ * DASH tracks are always fMP4. fMP4 is appended as-is.
+ */
+function describeTrack(track, downloader) {
+    const variant = downloader.variants ? downloader.variants[downloader.currentVariant] : null;
+    return {
+        name: track,
+        startId: downloader.mediaSequence || 0,
+        container: track === 'main' ? downloader.getContainer() : 'fmp4',
+        mimeType: variant?.mimeType || null,
+        codecs: variant?.codecs || null
+    };
+}
+
+/**
+ * Reply to GET_SEGMENT for one track. fMP4 segments carry their init segment
+ * whenever it differs from the one the player last appended (msg.initId).
+ * Bytes are encoded for the port's transport mode; the sniffer unwraps them.
+ */
+async function answerSegmentRequest(port, session, msg, transport) {
+    const track = msg.track || 'main';
+    const downloader = getTrackDownloader(session, track);
+    downloader.setPlayhead(msg.segmentId);
+
+    const data = await session.bufferManager.getSegment(downloader.streamId, msg.segmentId);
+    // The segment or its init segment ran out of retries (or hit a 403/404/410):
+    // the player skips the gap or gives up
+    const failure = downloader.getFailure(msg.segmentId);
+    if (failure) {
+        const meta = downloader.getSegmentMeta(msg.segmentId);
+        port.postMessage({
+            action: 'SEGMENT_FAILED',
+            track,
+            segmentId: msg.segmentId,
+            nextSegmentId: msg.segmentId + 1,
+            segmentStart: meta.start ?? null,
+            segmentEnd: meta.start !== undefined ? meta.start + meta.duration : null,
+            fatal: failure.fatal,
+            message: failure.message
+        });
+    } else if (data) {
+        const meta = downloader.getSegmentMeta(msg.segmentId);
+        let init = null;
+        if (meta.initId && meta.initId !== msg.initId) {
+            init = await session.bufferManager.getSegment(downloader.streamId, meta.initId);
+            if (!init) {
+                // Init still in flight (it outranks media in the queue, so this is brief)
+                downloader.prioritize(meta.initId);
+                port.postMessage({ action: 'SEGMENT_PENDING', track, segmentId: msg.segmentId });
+                return;
+            }
+        }
+
+        port.postMessage({
+            action: 'SEGMENT_DATA',
+            track,
+            segmentId: msg.segmentId,
+            variantIndex: meta.variantIndex,
+            discontinuity: downloader.discontinuities.has(msg.segmentId),
+            initId: meta.initId || null,
+            init: init ? encodeBinary(init, transport) : null,
+            timestampOffset: meta.timestampOffset ?? null,
+            segmentStart: meta.start ?? null,
+            data: encodeBinary(data, transport)
+        });
+    } else if (downloader.getExpiredReplacement(msg.segmentId) !== null) {
+        // Live: the player fell out of the window, tell it where to continue
+        port.postMessage({
+            action: 'SEGMENT_GONE',
+            track,
+            segmentId: msg.segmentId,
+            nextSegmentId: downloader.getExpiredReplacement(msg.segmentId)
+        });
+    } else if (downloader.isFinished(msg.segmentId)) {
+        port.postMessage({ action: 'END_OF_STREAM', track, segmentId: msg.segmentId });
+    } else {
+        // Cache miss - still downloading, player polls again. It is stalled on this one.
+        downloader.prioritize(msg.segmentId);
+        port.postMessage({ action: 'SEGMENT_PENDING', track, segmentId: msg.segmentId });
+    }
+}
+
 // 3. Cleanup
-chrome.tabs.onRemoved.addListener((tabId) => {
-    if (tabMap.has(tabId)) {
-        const streamId = tabMap.get(tabId);
-        if (sessions.has(streamId)) {
-            console.log('[Engine] Cleaning up stream:', streamId);
-            const s = sessions.get(streamId);
-            s.bufferManager.clearAll();
-            sessions.delete(streamId);
-            chrome.storage.session.remove(`session_${streamId}`);
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+    // The service worker may have restarted since the streams were detected,
+    // leaving tabMap empty: getTabStreamIds also reads the persisted sessions
+    for (const streamId of await getTabStreamIds(tabId)) {
+        console.log('[Engine] Cleaning up stream:', streamId);
+        await endSession(streamId, tabId);
+    }
+});
+
+/**
+ * Stop a session's downloads and drop its state and stored segments
+ */
+async function endSession(streamId, tabId) {
+    const session = sessions.get(streamId);
+    if (session) {
+        Object.values(session.downloaders).forEach(d => d.reset());
+        session.headerRules.clear().catch(e => console.warn('[Engine] Header rule cleanup failed:', e));
+        sessions.delete(streamId);
+    }
+    removeFromCatalog(tabId, streamId);
+    MseCapture.release(streamId);
+    await chrome.storage.session.remove(`session_${streamId}`);
+
+    try {
+        // Only this stream's segments: the tab's other streams keep theirs
+        await (session ? session.bufferManager : new BufferManager(tabId)).clearStream(streamId);
+    } catch (e) {
+        console.warn('[Engine] Segment cleanup failed, the next sweep retries:', e);
+    }
+}
+
+/**
+ * Garbage collection: end sessions whose tab is gone (closed while onRemoved
+ * could not reach us), then delete segments no remaining session owns.
+ * Also counts the live sessions' recordings toward the capture cap.
+ * Runs at service worker startup and on the GC alarm.
+ */
+async function collectGarbage(reason) {
+    const stored = await chrome.storage.session.get(null);
+    const live = new Set();
+
+    for (const [key, state] of Object.entries(stored)) {
+        if (!key.startsWith('session_')) continue;
+        try {
+            await chrome.tabs.get(state.tabId);
+            live.add(state.streamId);
+            // Recorded chunks stay pinned whether or not the session is restored
+            MseCapture.count(state.streamId, state.streamInfo.capture);
+        } catch (e) {
+            console.log(`[Engine] Tab ${state.tabId} is gone, ending stream:`, state.streamId);
+            await endSession(state.streamId, state.tabId);
         }
-        tabMap.delete(tabId);
-        chrome.storage.session.remove(`tab_${tabId}`);
     }
+
+    // Sessions created while we were checking tabs aren't in the snapshot
+    sessions.forEach((session, streamId) => live.add(streamId));
+
+    try {
+        const count = await BufferManager.sweepOrphans(live);
+        console.log(`[Engine] GC (${reason}): ${live.size} live sessions, ${count} orphaned segments removed`);
+    } catch (e) {
+        console.warn('[Engine] GC sweep failed:', e);
+    }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === GC_ALARM) collectGarbage('alarm');
 });
+
+// Creating an alarm that exists would restart its period on every wake-up
+chrome.alarms.get(GC_ALARM).then((alarm) => {
+    if (!alarm) chrome.alarms.create(GC_ALARM, { periodInMinutes: GC_PERIOD_MINUTES });
+});
+
+collectGarbage('startup');
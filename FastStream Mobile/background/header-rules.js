@@ -0,0 +1,158 @@
+/**
+ * FastStream Mobile - Header Rules
+ * Session-scoped declarativeNetRequest rules that give the downloader's direct
+ * fetches (extension context, no tab) the page's Referer / Origin / Authorization.
+ * fetch() can't set Referer or Origin itself; DNR can.
+ *
+ * A rule can't tell which stream an extension fetch belongs to, so a host has
+ * one rule at a time. Streams forwarding the same headers share it; a stream
+ * with other headers (or none) waits until the requests using the current rule
+ * are done, then swaps it. One stream's credentials never go out with another's
+ * requests.
+ */
+
+const FORWARDED_HEADERS = ['Referer', 'Origin', 'Authorization'];
+
+// Session rules outlive the service worker but our rule ids don't: start clean.
+// Every later update is chained behind the previous one, so a swap's removal
+// always lands before the next rule for the host is added.
+let ruleUpdates = chrome.declarativeNetRequest.getSessionRules()
+    .then(rules => chrome.declarativeNetRequest.updateSessionRules({ removeRuleIds: rules.map(r => r.id) }))
+    .catch(e => console.warn('[HeaderRules] Could not clear stale rules:', e));
+let nextRuleId = 1;
+
+// hostname -> { key, id, ready, streams, active, waiters }
+// key: the forwarded headers (JSON, null while unknown after a failed update);
+// id: the host's rule (null when nothing is forwarded); ready: Promise of the update
+// installing it; streams: HeaderRules that used it; active: requests holding it;
+// waiters: leases for other headers, woken when active drops to 0
+const hosts = new Map();
+
+export class HeaderRules {
+    /**
+     * @param {Object} headers - Request headers captured for the stream's manifest
+     */
+    constructor(headers = {}) {
+        this.headers = [];
+        for (const name of FORWARDED_HEADERS) {
+            const key = Object.keys(headers).find(k => k.toLowerCase() === name.toLowerCase());
+            if (key) this.headers.push({ header: name, operation: 'set', value: headers[key] });
+        }
+        this.key = JSON.stringify(this.headers);
+        this.hosts = new Set(); // Hostnames this stream leased
+        this.ended = false;
+    }
+
+    /**
+     * Hold url's host rule for one direct request. Resolves once the rule
+     * forwards this stream's headers (or, with none to forward, once no rule does).
+     * @param {AbortSignal} [signal] - Stops waiting for another stream's requests
+     * @returns {Promise<function()>} Release: call once the response headers are in
+     */
+    async lease(url, signal = null) {
+        const host = new URL(url).hostname;
+
+        for (;;) {
+            if (this.ended || signal?.aborted) throw new DOMException('Header rule lease aborted', 'AbortError');
+
+            let slot = hosts.get(host);
+            if (!slot || (slot.key !== this.key && slot.active === 0)) {
+                slot = this._install(host, slot);
+            }
+            // Waiters first: a busy stream can't keep others off the host forever
+            if (slot.key === this.key && slot.waiters.length === 0) {
+                slot.active++;
+                slot.streams.add(this);
+                this.hosts.add(host);
+                try {
+                    await slot.ready;
+                } catch (e) {
+                    release(host, slot);
+                    throw e;
+                }
+                return () => release(host, slot);
+            }
+
+            await new Promise((resolve, reject) => {
+                slot.waiters.push(resolve);
+                signal?.addEventListener('abort', () => reject(new DOMException('Header rule lease aborted', 'AbortError')), { once: true });
+            });
+        }
+    }
+
+    /**
+     * Replace host's idle rule with one for this stream's headers
+     */
+    _install(host, previous) {
+        const id = this.headers.length > 0 ? nextRuleId++ : null;
+        const removeRuleIds = previous?.id ? [previous.id] : [];
+        const addRules = id === null ? [] : [{
+            id,
+            priority: 1,
+            action: { type: 'modifyHeaders', requestHeaders: this.headers },
+            condition: {
+                // This host only: requestDomains would match its subdomains too
+                regexFilter: `^[a-z]+://${host.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(:[0-9]+)?/`,
+                // Only requests made by the extension itself, never the page's own
+                tabIds: [chrome.tabs.TAB_ID_NONE],
+                resourceTypes: ['xmlhttprequest', 'other']
+            }
+        }];
+
+        const slot = { key: this.key, id, ready: null, streams: new Set(), active: 0, waiters: [] };
+        slot.ready = updateRules({ removeRuleIds, addRules });
+        // The update is all or nothing: on failure the previous rule is still there.
+        // Nobody's headers match it, so the next lease replaces it again.
+        slot.ready.catch(() => {
+            slot.key = null;
+            slot.id = previous?.id ?? null;
+        });
+        hosts.set(host, slot);
+
+        if (id !== null) {
+            console.log(`[HeaderRules] Forwarding ${this.headers.map(h => h.header).join(', ')} to ${host}`);
+        }
+        return slot;
+    }
+
+    /**
+     * Remove this stream's rules (session ended). A rule still held by
+     * requests that are being aborted goes when the last one releases it.
+     */
+    async clear() {
+        this.ended = true;
+        const removals = [];
+        for (const host of this.hosts) {
+            const slot = hosts.get(host);
+            if (!slot) continue;
+            slot.streams.delete(this);
+            if (slot.streams.size === 0 && slot.active === 0) removals.push(removeSlot(host, slot));
+        }
+        this.hosts.clear();
+        await Promise.all(removals);
+    }
+}
+
+function updateRules(update) {
+    if (update.removeRuleIds.length === 0 && update.addRules.length === 0) return Promise.resolve();
+    const done = ruleUpdates.then(() => chrome.declarativeNetRequest.updateSessionRules(update));
+    ruleUpdates = done.catch(() => {});
+    return done;
+}
+
+function release(host, slot) {
+    slot.active--;
+    if (slot.active > 0) return;
+
+    const waiters = slot.waiters.splice(0);
+    waiters.forEach(resolve => resolve());
+    if (waiters.length === 0 && slot.streams.size === 0) {
+        removeSlot(host, slot).catch(e => console.warn('[HeaderRules] Could not remove rule:', e));
+    }
+}
+
+function removeSlot(host, slot) {
+    if (hosts.get(host) !== slot) return Promise.resolve();
+    hosts.delete(host);
+    return updateRules({ removeRuleIds: slot.id ? [slot.id] : [], addRules: [] });
+}
@@ -0,0 +1,140 @@
+/**
+ * FastStream Mobile - MSE Capture
+ * Opt-in recording of what a page appends to its SourceBuffers, for sites
+ * whose manifest never shows up on the network. Each SourceBuffer becomes a
+ * track stored like a stream of its own (trackStreamId(), chunk number as the
+ * segment id), so clearStream() and the orphan sweep cover it. Chunks are
+ * pinned: unlike downloaded segments, an evicted one can't be fetched again.
+ */
+
+import { BufferManager } from './buffer-manager.js';
+
+// Pinned chunks are never evicted: recording stops once all captures together
+// hold this share of the store's budget, so playback elsewhere keeps room to buffer
+const CAPTURE_BUDGET_SHARE = 0.5;
+
+// streamId -> bytes its capture has stored, for every capture the store holds
+// (not just the ones restored since the service worker started, see MseCapture.count)
+const capturedBytes = new Map();
+
+export class MseCapture {
+    /**
+     * @param {BufferManager} bufferManager
+     * @param {string} streamId - The MSE session's stream id
+     * @param {Object} [state] - A previous service worker's state (streamInfo.capture)
+     */
+    constructor(bufferManager, streamId, state = null) {
+        this.bufferManager = bufferManager;
+        this.streamId = streamId;
+        // Plain data: persisted as streamInfo.capture, shown and exported by the popup.
+        // status: 'idle' | 'recording' | 'stopped' | 'full' | 'failed'
+        this.state = state || { status: 'idle', bytes: 0, startedAt: null, tracks: {} };
+        this.pending = Promise.resolve(); // Chunks are stored one at a time, in append order
+        if (this.state.bytes > 0) capturedBytes.set(streamId, this.state.bytes);
+    }
+
+    /**
+     * Count a persisted capture whose session isn't restored (yet) toward the cap
+     * @param {Object} state - The session's streamInfo.capture
+     */
+    static count(streamId, state) {
+        if (state?.bytes > 0 && !capturedBytes.has(streamId)) capturedBytes.set(streamId, state.bytes);
+    }
+
+    /**
+     * The stream's chunks were deleted (session ended)
+     */
+    static release(streamId) {
+        capturedBytes.delete(streamId);
+    }
+
+    /**
+     * Store key of one SourceBuffer's chunks
+     */
+    static trackStreamId(streamId, bufferId) {
+        return `${streamId}:sb${bufferId}`;
+    }
+
+    get recording() {
+        return this.state.status === 'recording';
+    }
+
+    /**
+     * @returns {Promise<boolean>} false if the captures already fill their share
+     */
+    async start() {
+        if (totalCaptured() >= await captureCap()) return false;
+        this.state.status = 'recording';
+        this.state.startedAt = this.state.startedAt || Date.now();
+        return true;
+    }
+
+    /**
+     * @param {'stopped'|'full'|'failed'} [status]
+     */
+    stop(status = 'stopped') {
+        if (this.recording) this.state.status = status;
+    }
+
+    /**
+     * Store one append. A SourceBuffer's track is created with its first chunk.
+     * @param {Object} meta - MSE_APPEND payload: bufferId, mimeType, init,
+     *   timestamp (ms, when the page appended) and timestampOffset (SourceBuffer's, seconds)
+     * @param {ArrayBuffer} data
+     * @returns {Promise<boolean>} false if the chunk was dropped (not recording, full, storage error)
+     */
+    append(meta, data) {
+        const stored = this.pending.then(() => this._store(meta, data));
+        this.pending = stored;
+        return stored;
+    }
+
+    async _store(meta, data) {
+        if (!this.recording) return false;
+        const cap = await captureCap();
+        if (totalCaptured() + data.byteLength > cap) {
+            console.warn(`[MseCapture] Captures reached their ${(cap / 1024 / 1024).toFixed(0)}MB cap, stopping`);
+            this.stop('full');
+            return false;
+        }
+
+        const key = String(meta.bufferId);
+        const track = this.state.tracks[key] || {
+            mimeType: meta.mimeType,
+            chunks: 0,
+            bytes: 0,
+            inits: [], // Chunk numbers of init segments (quality switches append new ones)
+            firstAppend: meta.timestamp,
+            lastAppend: meta.timestamp,
+            timestampOffset: 0
+        };
+
+        try {
+            await this.bufferManager.storeSegment(MseCapture.trackStreamId(this.streamId, key), track.chunks, data, { pinned: true });
+        } catch (e) {
+            console.error('[MseCapture] Could not store chunk, stopping:', e);
+            this.stop('failed');
+            return false;
+        }
+
+        this.state.tracks[key] = track;
+        if (meta.init) track.inits.push(track.chunks);
+        track.chunks++;
+        track.bytes += data.byteLength;
+        track.lastAppend = meta.timestamp;
+        track.timestampOffset = meta.timestampOffset;
+        this.state.bytes += data.byteLength;
+        capturedBytes.set(this.streamId, this.state.bytes);
+        return true;
+    }
+}
+
+async function captureCap() {
+    return (await BufferManager.getBudget()) * CAPTURE_BUDGET_SHARE;
+}
+
+function totalCaptured() {
+    let total = 0;
+    for (const bytes of capturedBytes.values()) total += bytes;
+    return total;
+}
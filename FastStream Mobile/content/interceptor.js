@@ -1,6 +1,7 @@
 /**
  * FastStream Mobile - In-Page Interceptor
- * Runs in the "MAIN" world to hook native browser APIs.
+ * Runs in the "MAIN" world to hook native browser APIs (a manifest content
+ * script, so it is in place before the page's own scripts run).
  */
 
 (function () {
@@ -15,39 +16,127 @@
         }, '*');
     }
 
+    // Detection rules shared with the engine: shared/stream-type.js, which the
+    // manifest runs just before this script (as page/stream-type.js, see scripts/build.js)
+    const { classifyUrl, classifyMediaUrl, isSniffCandidate, sniffManifest } = window.__FASTSTREAM_LIB__;
+
     // =========================================================================
     // 1. Network Hook (Fetch & XHR)
     // =========================================================================
+    // Manifests served as text/plain from extension-less URLs are recognised by
+    // the first bytes of the page's own response: nothing is fetched twice.
     const originalFetch = window.fetch;
     const originalXHR = window.XMLHttpRequest.prototype.open;
+    const SNIFF_BYTES = 1024;
+
+    async function sniffFetchResponse(response) {
+        if (!response.ok || !response.body || !isSniffCandidate(response.url, response.headers.get('content-type'))) return;
+        const reader = response.clone().body.getReader();
+        const { value } = await reader.read();
+        reader.cancel();
+        if (!value) return;
+        const type = sniffManifest(new TextDecoder().decode(value.subarray(0, SNIFF_BYTES)));
+        if (type) {
+            notify('STREAM_FOUND', { url: response.url, method: 'fetch-body', type });
+        }
+    }
+
+    // One listener for every XHR: adding it again on a reused XHR is a no-op
+    function sniffXhrResponse() {
+        try {
+            if (this.status < 200 || this.status >= 300) return;
+            const url = this.responseURL;
+            if (!isSniffCandidate(url, this.getResponseHeader('content-type'))) return;
+
+            let text = null;
+            if (this.responseType === '' || this.responseType === 'text') {
+                text = this.responseText.slice(0, SNIFF_BYTES);
+            } else if (this.responseType === 'arraybuffer' && this.response) {
+                text = new TextDecoder().decode(new Uint8Array(this.response, 0, Math.min(SNIFF_BYTES, this.response.byteLength)));
+            }
+            const type = text && sniffManifest(text);
+            if (type) {
+                notify('STREAM_FOUND', { url, method: 'xhr-body', type });
+            }
+        } catch (e) {
+            // Never break the page's own requests
+        }
+    }
 
     // Hook Fetch
-    window.fetch = async function (...args) {
+    window.fetch = function (...args) {
         const [resource, config] = args;
         const url = (resource instanceof Request) ? resource.url : resource;
 
+        let type = null;
         if (url && (typeof url === 'string')) {
-            if (url.includes('.m3u8') || url.includes('.mpd')) {
-                notify('STREAM_FOUND', { url, method: 'fetch', type: url.includes('.m3u8') ? 'hls' : 'dash' });
+            type = classifyUrl(url);
+            if (type) {
+                notify('STREAM_FOUND', { url, method: 'fetch', type });
             }
         }
-        return originalFetch.apply(this, args);
+        const result = originalFetch.apply(this, args);
+        if (!type) {
+            result.then(sniffFetchResponse).catch(() => {});
+        }
+        return result;
     };
 
     // Hook XHR
     window.XMLHttpRequest.prototype.open = function (method, url) {
         if (url && (typeof url === 'string')) {
-            if (url.includes('.m3u8') || url.includes('.mpd')) {
-                notify('STREAM_FOUND', { url, method: 'xhr', type: url.includes('.m3u8') ? 'hls' : 'dash' });
+            const type = classifyUrl(url);
+            if (type) {
+                notify('STREAM_FOUND', { url, method: 'xhr', type });
             }
         }
+        this.addEventListener('load', sniffXhrResponse);
         return originalXHR.apply(this, arguments);
     };
 
     // =========================================================================
     // 2. MediaSource Hook (The "Netflix" Hook)
     // =========================================================================
-    // Detects when the page is manually building a stream buffer
+    // Detects when the page is manually building a stream buffer. Once the user
+    // opts in (CAPTURE_START, from the popup through the sniffer), every append
+    // is copied out as MSE_APPEND, tagged with its SourceBuffer and timestamps.
+    const sourceBuffers = []; // { id, mimeType, sourceBuffer, init } per SourceBuffer the page made
+    let capturing = false;
+
+    // fMP4 init segments start with ftyp/moov, WebM ones with the EBML magic
+    function isInitSegment(bytes) {
+        if (bytes.byteLength < 8) return false;
+        if (bytes[0] === 0x1A && bytes[1] === 0x45 && bytes[2] === 0xDF && bytes[3] === 0xA3) return true;
+        const box = String.fromCharCode(bytes[4], bytes[5], bytes[6], bytes[7]);
+        return box === 'ftyp' || box === 'moov';
+    }
+
+    function postAppend(entry, bytes, init) {
+        const buffer = bytes.slice().buffer; // A copy: the page may reuse its own
+        window.postMessage({
+            source: 'faststream-interceptor',
+            type: 'MSE_APPEND',
+            payload: {
+                bufferId: entry.id,
+                mimeType: entry.mimeType,
+                init,
+                timestamp: Date.now(),
+                timestampOffset: entry.sourceBuffer.timestampOffset
+            },
+            buffer
+        }, '*', [buffer]);
+    }
+
+    function recordAppend(entry, data) {
+        const bytes = ArrayBuffer.isView(data)
+            ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+            : new Uint8Array(data);
+        const init = isInitSegment(bytes);
+        // Kept even while not capturing: a recording that starts later needs it first
+        if (init) entry.init = bytes.slice();
+        if (capturing) postAppend(entry, bytes, init);
+    }
+
     if (window.MediaSource) {
         const originalAddSourceBuffer = window.MediaSource.prototype.addSourceBuffer;
 
@@ -57,19 +146,37 @@
             // If the page is using MSE, it's definitely a stream we want to hijack/monitor
             notify('MSE_INIT', { mimeType, timestamp: Date.now() });
 
-            // We can even trace where this buffer came from if we track SourceBuffers
             const sourceBuffer = originalAddSourceBuffer.call(this, mimeType);
+            const entry = { id: sourceBuffers.length, mimeType, sourceBuffer, init: null };
+            sourceBuffers.push(entry);
 
-            // Hook appendBuffer to see what's being pushed (advanced debugging)
-            // const originalAppend = sourceBuffer.appendBuffer;
-            // sourceBuffer.appendBuffer = function(data) {
-            //    return originalAppend.call(this, data);
-            // }
+            const originalAppend = sourceBuffer.appendBuffer;
+            sourceBuffer.appendBuffer = function (data) {
+                try {
+                    recordAppend(entry, data);
+                } catch (e) {
+                    // Never break the page's own player
+                }
+                return originalAppend.call(this, data);
+            };
 
             return sourceBuffer;
         };
     }
 
+    window.addEventListener('message', (event) => {
+        if (event.source !== window) return;
+        if (event.data?.type === 'CAPTURE_START' && !capturing) {
+            capturing = true;
+            // Init segments were appended before the user opted in: send the latest ones first
+            sourceBuffers.forEach(entry => {
+                if (entry.init) postAppend(entry, entry.init, true);
+            });
+        } else if (event.data?.type === 'CAPTURE_STOP') {
+            capturing = false;
+        }
+    });
+
     // =========================================================================
     // 3. Video Element Hook
     // =========================================================================
@@ -78,8 +185,9 @@
         const originalSet = descriptor.set;
         Object.defineProperty(HTMLMediaElement.prototype, 'src', {
             set: function (value) {
-                if (value && (value.includes('.m3u8') || value.includes('.mpd'))) {
-                    notify('STREAM_FOUND', { url: value, method: 'video.src', type: value.includes('.m3u8') ? 'hls' : 'dash' });
+                const type = value ? classifyUrl(value) || classifyMediaUrl(value) : null;
+                if (type) {
+                    notify('STREAM_FOUND', { url: value, method: 'video.src', type });
                 }
                 return originalSet.call(this, value);
             },
@@ -92,14 +200,24 @@
     // This runs IN THE PAGE CONTEXT so it inherits cookies, session, TLS fingerprint.
     // IMPORTANT: Use XHR, not fetch! Original players use XHR and CDNs may fingerprint.
     // =========================================================================
+    // In-flight FETCH_PAGE requests, so FETCH_ABORT can stop them
+    const pageFetches = new Map();
+
     window.addEventListener('message', (event) => {
+        if (event.data?.type === 'FETCH_ABORT') {
+            pageFetches.get(event.data.id)?.abort();
+            pageFetches.delete(event.data.id);
+            return;
+        }
+
         if (event.data?.type === 'FETCH_PAGE') {
             const requestId = event.data.id;
             const url = event.data.url;
             const customHeaders = event.data.headers || {};
+            const keepIgnoredRange = !!event.data.keepIgnoredRange;
 
             const xhr = new XMLHttpRequest();
-            xhr.open('GET', url, true);
+            xhr.open(event.data.method || 'GET', url, true); // HEAD: size probe for chunked downloads
             xhr.responseType = 'arraybuffer';
             xhr.withCredentials = true; // Include cookies
 
@@ -117,18 +235,29 @@
 
             xhr.onload = function () {
                 if (xhr.status >= 200 && xhr.status < 300) {
-                    const buf = xhr.response;
+                    let buf = xhr.response || new ArrayBuffer(0); // HEAD has no body
+                    // Server ignored the Range header (200 + whole file): cut the range out ourselves,
+                    // unless the caller wants the whole file (it is probing for Range support)
+                    const range = /^bytes=(\d+)-(\d*)$/.exec(customHeaders['Range'] || '');
+                    const rangeIgnored = !!range && xhr.status === 200;
+                    if (rangeIgnored && !keepIgnoredRange) {
+                        buf = buf.slice(Number(range[1]), range[2] ? Number(range[2]) + 1 : undefined);
+                    }
+                    // Transferred, not copied: the content script takes ownership
                     window.postMessage({
                         source: 'faststream-interceptor',
                         type: 'FETCH_RESULT',
                         id: requestId,
-                        buffer: Array.from(new Uint8Array(buf))
-                    }, '*');
+                        buffer: buf,
+                        rangeIgnored,
+                        size: Number(xhr.getResponseHeader('Content-Length')) || null
+                    }, '*', [buf]);
                 } else {
                     window.postMessage({
                         source: 'faststream-interceptor',
                         type: 'FETCH_ERROR',
                         id: requestId,
+                        status: xhr.status,
                         error: `HTTP ${xhr.status}: ${xhr.statusText}`
                     }, '*');
                 }
@@ -152,6 +281,12 @@
                 }, '*');
             };
 
+            // Aborted requests post nothing: the sniffer already answered
+            xhr.onloadend = function () {
+                pageFetches.delete(requestId);
+            };
+
+            pageFetches.set(requestId, xhr);
             xhr.send();
         }
     });
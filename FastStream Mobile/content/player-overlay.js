@@ -1,7 +1,8 @@
 /**
  * FastStream Mobile - In-Page Player Overlay
- * Self-contained player that runs in the page's MAIN world.
- * Includes mux.js integration for TS → fMP4 transmuxing.
+ * Self-contained player that runs in the page's MAIN world, injected by the
+ * engine (chrome.scripting) after the page/ libraries it uses. TS → fMP4
+ * transmuxing happens outside the page, in the extension's transmux worker.
  */
 
 (function () {
@@ -101,6 +102,37 @@
             background: rgba(255,255,255,0.2);
             border-radius: 2px;
             position: relative;
+            cursor: pointer;
+            touch-action: none;
+        }
+        #faststream-timeline::before {
+            content: '';
+            position: absolute;
+            left: 0;
+            right: 0;
+            top: -12px;
+            bottom: -12px;
+        }
+        #faststream-timeline.dragging {
+            height: 6px;
+        }
+        #faststream-timeline.disabled {
+            cursor: default;
+            opacity: 0.5;
+        }
+        #faststream-tooltip {
+            position: absolute;
+            bottom: 14px;
+            left: 0;
+            transform: translateX(-50%);
+            background: rgba(0,0,0,0.8);
+            color: #fff;
+            font-size: 11px;
+            font-family: monospace;
+            padding: 2px 6px;
+            border-radius: 3px;
+            pointer-events: none;
+            display: none;
         }
         #faststream-progress {
             height: 100%;
@@ -175,12 +207,14 @@
                 <div class="stat-row"><span>Buffer:</span><span class="stat-value" id="fs-stat-buffer">0s</span></div>
                 <div class="stat-row"><span>Segments:</span><span class="stat-value" id="fs-stat-segments">0</span></div>
                 <div class="stat-row"><span>Downloaded:</span><span class="stat-value" id="fs-stat-dl">0 KB</span></div>
+                <div class="stat-row"><span>Quality:</span><span class="stat-value" id="fs-stat-quality">-</span></div>
             </div>
             <div id="faststream-controls">
                 <button id="faststream-playbtn">▶</button>
                 <div id="faststream-timeline">
                     <div id="faststream-buffer"></div>
                     <div id="faststream-progress"></div>
+                    <div id="faststream-tooltip">0:00</div>
                 </div>
             </div>
             <div id="faststream-error"></div>
@@ -215,16 +249,48 @@
     const errorEl = document.getElementById('faststream-error');
     const loadingEl = document.getElementById('faststream-loading');
     const playBtn = document.getElementById('faststream-playbtn');
+    const timelineEl = document.getElementById('faststream-timeline');
+    const tooltipEl = document.getElementById('faststream-tooltip');
     const progressEl = document.getElementById('faststream-progress');
     const bufferEl = document.getElementById('faststream-buffer');
     const statBuffer = document.getElementById('fs-stat-buffer');
     const statSegments = document.getElementById('fs-stat-segments');
     const statDl = document.getElementById('fs-stat-dl');
+    const statQuality = document.getElementById('fs-stat-quality');
+
+    // =========================================================================
+    // 5. ENGINE BRIDGE
+    // Relayed by the sniffer over its 'faststream-player' port (see sniffer.js)
+    // =========================================================================
+    const engineHandlers = {};
+    let closed = false; // Segment loops may still fire once; nothing goes out after close
+    let statsTimer = null;
+    let bufferStatusTimer = null;
+
+    function sendToEngine(message) {
+        if (closed) return;
+        window.postMessage({ source: 'faststream-player', message }, '*');
+    }
+
+    function onEngineMessage(event) {
+        if (event.source !== window || event.data?.source !== 'faststream-engine') return;
+        const handler = engineHandlers[event.data.message.action];
+        if (handler) handler(event.data.message);
+    }
+    window.addEventListener('message', onEngineMessage);
 
     // Close button - FULL CLEANUP
     document.getElementById('faststream-close').addEventListener('click', () => {
         console.log('[FastStream] Closing player...');
 
+        // Stop background downloads for this stream, then let the sniffer drop our port
+        sendToEngine({ action: 'PAUSE' });
+        sendToEngine({ action: 'CLOSE' });
+        closed = true;
+        clearInterval(statsTimer);
+        clearInterval(bufferStatusTimer);
+        window.removeEventListener('message', onEngineMessage);
+
         // Stop our video completely
         video.pause();
         video.src = '';
@@ -252,11 +318,55 @@
 
     // Progress update
     video.addEventListener('timeupdate', () => {
+        if (scrubbing) return;
         if (video.duration && isFinite(video.duration)) {
             progressEl.style.width = (video.currentTime / video.duration * 100) + '%';
         }
     });
 
+    // Timeline scrubbing (tap or drag). The seek itself is wired up by initPlayer().
+    let scrubbing = false;
+    let requestSeek = null;
+
+    function formatTime(seconds) {
+        const s = Math.floor(seconds % 60).toString().padStart(2, '0');
+        const m = Math.floor(seconds / 60) % 60;
+        const h = Math.floor(seconds / 3600);
+        return h > 0 ? `${h}:${m.toString().padStart(2, '0')}:${s}` : `${m}:${s}`;
+    }
+
+    function scrubPosition(event) {
+        const rect = timelineEl.getBoundingClientRect();
+        const ratio = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+        progressEl.style.width = (ratio * 100) + '%';
+        tooltipEl.style.left = (ratio * 100) + '%';
+        tooltipEl.textContent = formatTime(ratio * video.duration);
+        return ratio * video.duration;
+    }
+
+    timelineEl.addEventListener('pointerdown', (event) => {
+        if (!requestSeek || !isFinite(video.duration)) return;
+        scrubbing = true;
+        timelineEl.setPointerCapture(event.pointerId);
+        timelineEl.classList.add('dragging');
+        tooltipEl.style.display = 'block';
+        scrubPosition(event);
+    });
+
+    timelineEl.addEventListener('pointermove', (event) => {
+        if (scrubbing) scrubPosition(event);
+    });
+
+    const endScrub = (event) => {
+        if (!scrubbing) return;
+        scrubbing = false;
+        timelineEl.classList.remove('dragging');
+        tooltipEl.style.display = 'none';
+        requestSeek(scrubPosition(event));
+    };
+    timelineEl.addEventListener('pointerup', endScrub);
+    timelineEl.addEventListener('pointercancel', endScrub);
+
     // Get stream info
     const streamInfo = window.__FASTSTREAM_STREAM_INFO__;
     if (!streamInfo) {
@@ -275,39 +385,39 @@
     }
 
     // =========================================================================
-    // 5. LOAD MUX.JS FROM CDN
+    // 6. TRANSMUXER (bundled mux.js at the extension's origin, see the sniffer)
     // =========================================================================
-    const muxScript = document.createElement('script');
-    muxScript.src = 'https://cdn.jsdelivr.net/npm/mux.js@7.0.3/dist/mux.min.js';
-    muxScript.onload = () => {
-        console.log('[FastStream] mux.js loaded');
-        loadingEl.style.display = 'none';
-        initPlayer();
-    };
-    muxScript.onerror = () => {
-        showError('Failed to load mux.js transmuxer');
-    };
-    document.head.appendChild(muxScript);
+    loadingEl.style.display = 'none';
+    initPlayer();
 
     function initPlayer() {
         // =====================================================================
-        // 6. MSE + TRANSMUXER SETUP
+        // 7. MSE + TRANSMUXER SETUP
         // =====================================================================
+        // Last resort when neither the init segment nor the manifest names a codec
+        const DEFAULT_CODECS = { video: 'avc1.64001f', audio: 'mp4a.40.2' };
+        const MAX_FAILED_IN_ROW = 3; // Segments the engine gave up on before we do too
+        const { detectContainer, parseInitTimescales, getMediaStartTime, getInitCodecs, splitCodecs } = window.__FASTSTREAM_LIB__;
+
         let mediaSource = null;
-        let videoBuffer = null;
-        let audioBuffer = null;
         let transmuxer = null;
         let totalDownloaded = 0;
         let segmentCount = 0;
-        let segments = [];
-        let currentSegment = 0;
-        let baseUrl = '';
-        let videoInitDone = false;
-        let audioInitDone = false;
-        let videoQueue = [];
-        let audioQueue = [];
-        let isVideoAppending = false;
-        let isAudioAppending = false;
+        let currentVariant = null;
+        let pendingSeekTime = null; // Set while waiting for SEEK_ACK
+        let preSeekState = null; // Track name -> { currentSegment, ended } before the pending seek
+        let isLive = false;
+        let fatalError = false; // Unplayable codec: stop requesting segments
+        const failedRanges = []; // { start, end } of segments the engine gave up on (skipGap jumps them)
+        let transmuxSinksReady = false;
+        let transmuxHeld = []; // First flush's output, waiting for its SourceBuffers
+        // Sink name -> { buffer, queue, appending }. Transmuxed TS feeds 'video' + 'audio';
+        // fMP4 tracks get a sink named after the track.
+        const sinks = {};
+        // Track name -> segment loop state, created from the first CONNECTED.
+        // HLS has one 'main' track (TS or fMP4, muxed);
+        // DASH has 'video' and/or 'audio' tracks (fMP4).
+        let tracks = null;
 
         function updateStats() {
             try {
@@ -321,268 +431,545 @@
             } catch (e) { /* ignore */ }
             statSegments.textContent = segmentCount;
             statDl.textContent = (totalDownloaded / 1024).toFixed(0) + ' KB';
+            skipGap();
         }
 
-        setInterval(updateStats, 500);
-
-        // Create transmuxer
-        transmuxer = new muxjs.mp4.Transmuxer({
-            keepOriginalTimestamps: true,
-            remux: false
-        });
+        /**
+         * Jump small holes in the buffer (skipped live segments, unaligned audio/video starts)
+         * and the holes segments that failed to download leave
+         */
+        function skipGap() {
+            if (video.paused || video.seeking || pendingSeekTime !== null) return;
+            const t = video.currentTime;
+            for (let i = 0; i < video.buffered.length; i++) {
+                const start = video.buffered.start(i);
+                if (t >= start && t < video.buffered.end(i)) return; // Playing inside a range
+                const failedHole = failedRanges.some(r => r.start - 1 <= t && start <= r.end + 1);
+                if (start > t && (start - t < 2 || failedHole)) {
+                    console.log(`[FastStream] Skipping ${(start - t).toFixed(2)}s gap`);
+                    video.currentTime = start;
+                    return;
+                }
+            }
+        }
 
-        // Handle transmuxed data
-        transmuxer.on('data', (segment) => {
-            console.log('[FastStream] Transmuxed segment:', segment.type);
-
-            // Create init segment + data
-            const initSegment = new Uint8Array(segment.initSegment.byteLength + segment.data.byteLength);
-            initSegment.set(segment.initSegment, 0);
-            initSegment.set(segment.data, segment.initSegment.byteLength);
-
-            if (segment.type === 'video') {
-                videoQueue.push(initSegment);
-                processVideoQueue();
-            } else if (segment.type === 'audio') {
-                audioQueue.push(initSegment);
-                processAudioQueue();
+        statsTimer = setInterval(updateStats, 500);
+
+        /**
+         * TS → fMP4 in content/transmux-worker.js, which runs at the extension's
+         * origin: commands go out through the sniffer, output comes back as
+         * TRANSMUX_OUTPUT. The page's CSP and scripts never touch mux.js.
+         * Timestamps are rebased onto the playlist timeline (segment start
+         * times from #EXTINF), so currentTime and seek targets share one clock.
+         * @param {function(string, Uint8Array, Uint8Array)} onData - (type, initSegment, init + data)
+         * @param {function()} onDone - After each segment's output
+         */
+        function createTransmuxer(onData, onDone) {
+            let generation = 0;
+
+            function send(command, transfer = []) {
+                if (closed) return;
+                window.postMessage({ source: 'faststream-player', transmux: command }, '*', transfer);
             }
-        });
 
-        transmuxer.on('done', () => {
+            engineHandlers.TRANSMUX_OUTPUT = ({ output }) => {
+                if (output.generation !== generation) return; // Output from before a seek
+
+                if (output.action === 'data') {
+                    onData(output.type, output.initSegment, new Uint8Array(output.data));
+                } else if (output.action === 'done') {
+                    onDone();
+                } else if (output.action === 'error') {
+                    console.error('[FastStream] Transmux error:', output.message);
+                }
+            };
+
+            return {
+                // Handed over without a copy
+                transmux: bytes => send({ action: 'transmux', data: bytes.buffer }, [bytes.buffer]),
+                reset: () => {
+                    generation++;
+                    send({ action: 'reset', generation });
+                },
+                setBaseMediaDecodeTime: value => send({ action: 'setBaseMediaDecodeTime', value })
+            };
+        }
+
+        transmuxer = createTransmuxer((type, initSegment, bytes) => {
+            console.log('[FastStream] Transmuxed segment:', type);
+
+            if (type !== 'video' && type !== 'audio') return;
+            if (!transmuxSinksReady) {
+                transmuxHeld.push({ type, initSegment, data: bytes });
+                return;
+            }
+            appendToSink(type, { data: bytes });
+        }, () => {
             console.log('[FastStream] Transmux done');
+            if (!transmuxSinksReady && transmuxHeld.length > 0) createTransmuxSinks();
         });
 
-        function processVideoQueue() {
-            if (isVideoAppending || !videoBuffer || videoBuffer.updating || videoQueue.length === 0) return;
-            if (mediaSource.readyState !== 'open') return;
+        /**
+         * TS: one SourceBuffer per elementary stream the first segment carried
+         * (so audio-only/video-only streams work), typed from the init segments
+         * mux.js built, with the playlist's CODECS as fallback.
+         */
+        function createTransmuxSinks() {
+            const declared = splitCodecs(tracks.main && tracks.main.codecs);
+            for (const { type, initSegment } of transmuxHeld) {
+                if (sinks[type]) continue;
+                const parsed = getInitCodecs(initSegment).find(c => c.type === type);
+                const codec = (parsed && parsed.codec) || declared[type] || DEFAULT_CODECS[type];
+                if (!createSink(type, `${type}/mp4; codecs="${codec}"`)) return;
+            }
 
-            const data = videoQueue.shift();
+            transmuxSinksReady = true;
+            transmuxHeld.forEach(held => appendToSink(held.type, { data: held.data }));
+            transmuxHeld = [];
+        }
+
+        /**
+         * @returns {boolean} false if the SourceBuffer can't be created (playback stops)
+         */
+        function createSink(type, mimeType) {
+            if (!MediaSource.isTypeSupported(mimeType)) {
+                console.warn(`[FastStream] Unsupported ${type} type:`, mimeType);
+                fatalError = true;
+                showError(`Codec not supported on this device: ${mimeType}`);
+                return false;
+            }
+            let sink;
             try {
-                isVideoAppending = true;
-                videoBuffer.appendBuffer(data);
+                sink = { buffer: mediaSource.addSourceBuffer(mimeType), queue: [], appending: false };
             } catch (e) {
-                console.error('[FastStream] Video append error:', e.message);
-                isVideoAppending = false;
+                fatalError = true;
+                showError('MSE init failed: ' + e.message);
+                return false;
             }
+            sink.buffer.mode = 'segments';
+            sink.buffer.addEventListener('updateend', () => {
+                sink.appending = false;
+                processSink(type);
+            });
+            sinks[type] = sink;
+            console.log(`[FastStream] ${type} buffer created (${mimeType})`);
+            return true;
+        }
+
+        /**
+         * Queue bytes for a SourceBuffer. `timestampOffset` (seconds) is applied
+         * right before the append, once the buffer is idle.
+         */
+        function appendToSink(type, entry) {
+            const sink = sinks[type];
+            if (!sink) return;
+            sink.queue.push(entry);
+            processSink(type);
         }
 
-        function processAudioQueue() {
-            if (isAudioAppending || !audioBuffer || audioBuffer.updating || audioQueue.length === 0) return;
+        function processSink(type) {
+            const sink = sinks[type];
+            if (sink.appending || sink.buffer.updating || sink.queue.length === 0) return;
             if (mediaSource.readyState !== 'open') return;
 
-            const data = audioQueue.shift();
+            const { data, timestampOffset } = sink.queue.shift();
             try {
-                isAudioAppending = true;
-                audioBuffer.appendBuffer(data);
+                if (timestampOffset != null && sink.buffer.timestampOffset !== timestampOffset) {
+                    sink.buffer.timestampOffset = timestampOffset;
+                }
+                sink.appending = true;
+                sink.buffer.appendBuffer(data);
             } catch (e) {
-                console.error('[FastStream] Audio append error:', e.message);
-                isAudioAppending = false;
+                console.error(`[FastStream] ${type} append error:`, e.message);
+                sink.appending = false;
             }
         }
 
+        /**
+         * Set up a loop per track the engine announced. DASH tracks get their
+         * SourceBuffers now; HLS waits for the first segment's bytes (ensureSinks).
+         */
+        function setupTracks(trackList) {
+            tracks = {};
+            for (const info of trackList) {
+                tracks[info.name] = {
+                    ...info,
+                    currentSegment: info.startId, // Next segment id to request
+                    requestTimer: null,
+                    ended: false,
+                    failedInRow: 0, // Consecutive SEGMENT_FAILED; too many and we stop
+                    sinkContainer: null, // Container the track's SourceBuffers were created for
+                    initId: null, // Init segment last appended (fMP4)
+                    timescales: null, // From that init segment (HLS fMP4 timeline placement)
+                    offset: null, // HLS fMP4: playlist time minus media time
+                    resync: true // Recompute `offset` from the next fragment
+                };
+                if (info.name !== 'main') ensureSinks(tracks[info.name], info.container);
+            }
+        }
+
+        /**
+         * Create a track's SourceBuffers for `container` once.
+         * fMP4 codecs come from the init segment when we have it, else the manifest.
+         * WebM (progressive files) takes the codecs the engine read from its header.
+         * @returns {boolean} false if the track's buffers were created for another container
+         */
+        function ensureSinks(track, container, init = null) {
+            if (track.sinkContainer) return track.sinkContainer === container;
+            track.sinkContainer = container;
+            if (container === 'ts') return true; // See createTransmuxSinks()
+
+            const webm = container === 'webm';
+            const fromInit = init && !webm ? getInitCodecs(init).map(c => c.codec).join(',') : '';
+            const { video: videoCodec, audio: audioCodec } = splitCodecs(fromInit || track.codecs);
+            let codecs = fromInit || track.codecs;
+            if (!codecs && !webm) {
+                codecs = track.name === 'main'
+                    ? `${DEFAULT_CODECS.video},${DEFAULT_CODECS.audio}`
+                    : DEFAULT_CODECS[track.name];
+            }
+
+            const audioOnly = track.name === 'audio' || (audioCodec && !videoCodec);
+            const mimeType = track.mimeType || `${audioOnly ? 'audio' : 'video'}/${webm ? 'webm' : 'mp4'}`;
+            createSink(track.name, codecs ? `${mimeType}; codecs="${codecs}"` : mimeType);
+            return true;
+        }
+
         // Initialize MSE
         mediaSource = new MediaSource();
         video.src = URL.createObjectURL(mediaSource);
 
         mediaSource.addEventListener('sourceopen', () => {
             console.log('[FastStream] MSE Source Open');
-            statusEl.textContent = 'Fetching playlist...';
+            statusEl.textContent = 'Initializing...';
+            // SourceBuffers need the track codecs, so they are created on CONNECTED
+            startDownload();
+        });
+
+        // =====================================================================
+        // 8. SEGMENT LOOP (fed by the engine's downloaders, one loop per track)
+        // =====================================================================
+        function startDownload() {
+            statusEl.textContent = 'Connecting...';
+            sendToEngine({ action: 'CONNECT', streamId: streamInfo.id });
+            bufferStatusTimer = setInterval(() => {
+                sendToEngine({ action: 'BUFFER_STATUS', bufferLevel: getBufferAhead() });
+            }, 1000);
+        }
 
+        function getBufferAhead(sourceBuffer = video) {
             try {
-                // Create SEPARATE buffers for video and audio
-                const videoCodec = 'video/mp4; codecs="avc1.64001f"';
-                const audioCodec = 'audio/mp4; codecs="mp4a.40.2"';
-
-                if (MediaSource.isTypeSupported(videoCodec)) {
-                    videoBuffer = mediaSource.addSourceBuffer(videoCodec);
-                    videoBuffer.mode = 'segments';
-                    videoBuffer.addEventListener('updateend', () => {
-                        isVideoAppending = false;
-                        processVideoQueue();
-                    });
-                    console.log('[FastStream] Video buffer created');
+                if (sourceBuffer.buffered.length > 0) {
+                    return Math.max(0, sourceBuffer.buffered.end(sourceBuffer.buffered.length - 1) - video.currentTime);
                 }
+            } catch (e) { /* ignore */ }
+            return 0;
+        }
 
-                if (MediaSource.isTypeSupported(audioCodec)) {
-                    audioBuffer = mediaSource.addSourceBuffer(audioCodec);
-                    audioBuffer.mode = 'segments';
-                    audioBuffer.addEventListener('updateend', () => {
-                        isAudioAppending = false;
-                        processAudioQueue();
-                    });
-                    console.log('[FastStream] Audio buffer created');
-                }
+        function getTrack(msg) {
+            return tracks ? tracks[msg.track || 'main'] : null;
+        }
 
-                startDownload();
+        function scheduleRequest(track, delay) {
+            clearTimeout(track.requestTimer);
+            track.requestTimer = setTimeout(() => requestNextSegment(track), delay);
+        }
 
-            } catch (e) {
-                showError('MSE init failed: ' + e.message);
+        function requestNextSegment(track) {
+            if (fatalError || track.ended || track.currentSegment === null) return;
+
+            // Buffer limit (per track, so audio can't run away from video)
+            const sink = sinks[track.name] || sinks.video;
+            if (getBufferAhead(sink ? sink.buffer : video) > 30) {
+                scheduleRequest(track, 1000);
+                return;
             }
-        });
 
-        // XHR helpers
-        function xhrFetch(url) {
-            return new Promise((resolve, reject) => {
-                const xhr = new XMLHttpRequest();
-                xhr.open('GET', url, true);
-                xhr.responseType = 'arraybuffer';
-                xhr.onload = () => {
-                    if (xhr.status >= 200 && xhr.status < 300) {
-                        resolve(xhr.response);
-                    } else {
-                        reject(new Error(`HTTP ${xhr.status}`));
-                    }
-                };
-                xhr.onerror = () => reject(new Error('Network error'));
-                xhr.ontimeout = () => reject(new Error('Timeout'));
-                xhr.send();
+            sendToEngine({
+                action: 'GET_SEGMENT',
+                track: track.name,
+                segmentId: track.currentSegment,
+                initId: track.initId
             });
         }
 
-        function xhrFetchText(url) {
-            return new Promise((resolve, reject) => {
-                const xhr = new XMLHttpRequest();
-                xhr.open('GET', url, true);
-                xhr.responseType = 'text';
-                xhr.onload = () => {
-                    if (xhr.status >= 200 && xhr.status < 300) {
-                        resolve(xhr.responseText);
-                    } else {
-                        reject(new Error(`HTTP ${xhr.status}`));
-                    }
-                };
-                xhr.onerror = () => reject(new Error('Network error'));
-                xhr.ontimeout = () => reject(new Error('Timeout'));
-                xhr.send();
-            });
+        function updateQuality(variantIndex) {
+            const variants = streamInfo.variants;
+            if (!variants || !variants[variantIndex] || variantIndex === currentVariant) return;
+            currentVariant = variantIndex;
+            const { describeVariant } = window.__FASTSTREAM_LIB__;
+            statQuality.textContent = `${describeVariant(variants[variantIndex])} (${variantIndex + 1}/${variants.length})`;
         }
 
-        async function startDownload() {
-            try {
-                const masterUrl = streamInfo.url;
-                baseUrl = masterUrl.substring(0, masterUrl.lastIndexOf('/') + 1);
-
-                let playlistText = await xhrFetchText(masterUrl);
-                console.log('[FastStream] Master playlist fetched');
-
-                // Parse master playlist for variants
-                if (playlistText.includes('#EXT-X-STREAM-INF')) {
-                    const lines = playlistText.split('\n');
-                    let variantUrl = null;
-                    for (let i = 0; i < lines.length; i++) {
-                        if (lines[i].startsWith('#EXT-X-STREAM-INF')) {
-                            for (let j = i + 1; j < lines.length; j++) {
-                                const line = lines[j].trim();
-                                if (line && !line.startsWith('#')) {
-                                    variantUrl = line;
-                                    break;
-                                }
-                            }
-                            break;
-                        }
-                    }
-
-                    if (variantUrl) {
-                        if (!variantUrl.startsWith('http')) {
-                            variantUrl = new URL(variantUrl, baseUrl).href;
-                        }
-                        console.log('[FastStream] Selected variant:', variantUrl);
-                        baseUrl = variantUrl.substring(0, variantUrl.lastIndexOf('/') + 1);
-                        playlistText = await xhrFetchText(variantUrl);
-                    }
+        engineHandlers.CONNECTED = (msg) => {
+            statusEl.textContent = 'Playing';
+            statusEl.style.color = '#4CAF50';
+
+            // After a service worker restart we reconnect and keep our position
+            if (!tracks) {
+                try {
+                    setupTracks(msg.tracks);
+                } catch (e) {
+                    showError('MSE init failed: ' + e.message);
+                    return;
                 }
-
-                // Parse media segments
-                const lines = playlistText.split('\n');
-                segments = [];
-                for (let i = 0; i < lines.length; i++) {
-                    const line = lines[i].trim();
-                    if (line.startsWith('#EXTINF:')) {
-                        for (let j = i + 1; j < lines.length; j++) {
-                            const segLine = lines[j].trim();
-                            if (segLine && !segLine.startsWith('#')) {
-                                let segUrl = segLine;
-                                if (!segUrl.startsWith('http')) {
-                                    segUrl = new URL(segUrl, baseUrl).href;
-                                }
-                                segments.push(segUrl);
-                                i = j;
-                                break;
-                            }
-                        }
-                    }
+                isLive = !!msg.live;
+                if (mediaSource.readyState === 'open') {
+                    try {
+                        // Live streams have no end; VOD gets the playlist duration
+                        mediaSource.duration = isLive ? Infinity : (msg.duration || mediaSource.duration);
+                    } catch (e) { /* ignore */ }
                 }
+            }
 
-                console.log('[FastStream] Found', segments.length, 'segments');
-                statusEl.textContent = 'Playing';
-                statusEl.style.color = '#4CAF50';
+            if (isLive) {
+                statusEl.textContent = 'LIVE';
+                statusEl.style.color = '#f44';
+            }
+            // No scrubbing on a sliding live window or a file without a seek index
+            requestSeek = !isLive && msg.seekable ? seekTo : null;
+            timelineEl.classList.toggle('disabled', !requestSeek);
+            Object.values(tracks).forEach(track => scheduleRequest(track, 0));
+        };
+
+        function isBuffered(time) {
+            for (let i = 0; i < video.buffered.length; i++) {
+                if (time >= video.buffered.start(i) && time < video.buffered.end(i)) return true;
+            }
+            return false;
+        }
 
-                downloadNextSegment();
+        function seekTo(time) {
+            if (!isFinite(time)) return;
 
-            } catch (e) {
-                console.error('[FastStream] Download error:', e);
-                showError('Failed to load stream: ' + e.message);
+            // Already buffered: a local seek is enough
+            if (isBuffered(time)) {
+                video.currentTime = time;
+                return;
+            }
+
+            // Stop the segment loops; responses for the old position are ignored.
+            // A seek the engine refuses resumes them from where they were.
+            if (pendingSeekTime === null) {
+                preSeekState = {};
+                Object.values(tracks).forEach(track => {
+                    preSeekState[track.name] = { currentSegment: track.currentSegment, ended: track.ended };
+                });
             }
+            Object.values(tracks).forEach(track => {
+                clearTimeout(track.requestTimer);
+                track.currentSegment = null;
+                track.ended = false;
+            });
+            pendingSeekTime = time;
+            statusEl.textContent = 'Seeking...';
+            sendToEngine({ action: 'SEEK', time });
         }
 
-        async function downloadNextSegment() {
-            if (currentSegment >= segments.length) {
-                console.log('[FastStream] All segments downloaded');
-                // Flush transmuxer
-                transmuxer.flush();
-                setTimeout(() => {
-                    if (mediaSource.readyState === 'open') {
-                        try {
-                            mediaSource.endOfStream();
-                        } catch (e) { /* ignore */ }
-                    }
-                }, 2000);
-                return;
+        /**
+         * Remove buffered ranges that don't contain `keepTime`
+         */
+        async function pruneSourceBuffer(sourceBuffer, keepTime) {
+            if (!sourceBuffer) return;
+
+            const ranges = [];
+            for (let i = 0; i < sourceBuffer.buffered.length; i++) {
+                const start = sourceBuffer.buffered.start(i);
+                const end = sourceBuffer.buffered.end(i);
+                if (keepTime < start || keepTime >= end) ranges.push([start, end]);
             }
 
-            // Buffer limit
-            try {
-                if (video.buffered.length > 0) {
-                    const bufferedAhead = video.buffered.end(video.buffered.length - 1) - video.currentTime;
-                    if (bufferedAhead > 30) {
-                        setTimeout(downloadNextSegment, 1000);
-                        return;
-                    }
+            for (const [start, end] of ranges) {
+                if (sourceBuffer.updating) {
+                    await new Promise(resolve => sourceBuffer.addEventListener('updateend', resolve, { once: true }));
                 }
-            } catch (e) { /* ignore */ }
+                await new Promise((resolve) => {
+                    sourceBuffer.addEventListener('updateend', resolve, { once: true });
+                    try {
+                        sourceBuffer.remove(start, end);
+                    } catch (e) {
+                        console.warn('[FastStream] Buffer remove failed:', e.message);
+                        resolve();
+                    }
+                });
+            }
+        }
 
-            try {
-                const url = segments[currentSegment];
-                console.log('[FastStream] Downloading segment', currentSegment);
+        engineHandlers.SEEK_ACK = async (msg) => {
+            if (msg.time !== pendingSeekTime) return; // Superseded by a newer seek
 
-                const data = await xhrFetch(url);
-                totalDownloaded += data.byteLength;
-                segmentCount++;
+            // Drop queued output from the old position and restart the transmuxer
+            // timeline at the target segment's playlist time
+            Object.values(sinks).forEach(sink => { sink.queue.length = 0; });
+            if (tracks.main) {
+                transmuxer.reset();
+                transmuxer.setBaseMediaDecodeTime(Math.round(msg.segmentStart * 90000));
+            }
+
+            await Promise.all(Object.values(sinks).map(sink => pruneSourceBuffer(sink.buffer, msg.time)));
+            if (msg.time !== pendingSeekTime) return;
+
+            pendingSeekTime = null;
+            preSeekState = null;
+            for (const [name, track] of Object.entries(tracks)) {
+                const target = msg.tracks && msg.tracks[name];
+                track.currentSegment = target ? target.segmentId : msg.segmentId;
+                track.resync = true;
+            }
+            video.currentTime = msg.time;
+            statusEl.textContent = 'Playing';
 
-                // Push to transmuxer (TS → fMP4)
-                transmuxer.push(new Uint8Array(data));
-                transmuxer.flush();
+            // Resume playback once the target segments arrive
+            Object.values(tracks).forEach(track => scheduleRequest(track, 0));
+            if (!video.paused) video.play().catch(() => { });
+        };
 
-                currentSegment++;
+        engineHandlers.SEEK_FAILED = (msg) => {
+            if (msg.time !== pendingSeekTime) return; // Superseded by a newer seek
+            console.warn('[FastStream] Seek failed:', msg.message);
 
-                // Auto-play
-                if (currentSegment === 1 && video.paused) {
-                    setTimeout(() => {
-                        video.play().catch(() => { });
-                        playBtn.textContent = '⏸';
-                    }, 500);
+            pendingSeekTime = null;
+            for (const [name, state] of Object.entries(preSeekState || {})) {
+                Object.assign(tracks[name], state);
+            }
+            preSeekState = null;
+            statusEl.textContent = isLive ? 'LIVE' : 'Playing';
+            Object.values(tracks).forEach(track => scheduleRequest(track, 0));
+        };
+
+        engineHandlers.DISCONNECTED = () => {
+            sendToEngine({ action: 'CONNECT', streamId: streamInfo.id });
+        };
+
+        engineHandlers.ERROR = (msg) => {
+            showError('Engine error: ' + msg.message);
+        };
+
+        engineHandlers.SEGMENT_PENDING = (msg) => {
+            const track = getTrack(msg);
+            if (track && msg.segmentId === track.currentSegment) scheduleRequest(track, 500);
+        };
+
+        engineHandlers.SEGMENT_GONE = (msg) => {
+            // Live: we fell behind the window; continue from the oldest available segment
+            const track = getTrack(msg);
+            if (!track || msg.segmentId !== track.currentSegment) return;
+            console.warn(`[FastStream] Segments ${msg.segmentId}-${msg.nextSegmentId - 1} expired, skipping`);
+            track.currentSegment = msg.nextSegmentId;
+            scheduleRequest(track, 0);
+        };
+
+        engineHandlers.SEGMENT_FAILED = (msg) => {
+            // The engine ran out of retries: skip one bad segment, but a run of them
+            // (expired auth, dead CDN) means the stream is gone
+            const track = getTrack(msg);
+            if (!track || msg.segmentId !== track.currentSegment) return;
+
+            track.failedInRow++;
+            if (track.failedInRow >= MAX_FAILED_IN_ROW) {
+                fatalError = true;
+                showError('Stream unavailable: ' + msg.message);
+                return;
+            }
+
+            console.warn(`[FastStream] Segment ${msg.segmentId} failed (${msg.message}), skipping`);
+            if (msg.segmentStart !== null && msg.segmentEnd !== null) {
+                failedRanges.push({ start: msg.segmentStart, end: msg.segmentEnd });
+            }
+            track.currentSegment = msg.nextSegmentId;
+            track.resync = true; // HLS fMP4: place the next fragment from its own start time
+            scheduleRequest(track, 0);
+        };
+
+        engineHandlers.SEGMENT_DATA = (msg) => {
+            const track = getTrack(msg);
+            if (!track || msg.segmentId !== track.currentSegment) return; // Stale response
+            track.failedInRow = 0;
+
+            const data = new Uint8Array(msg.data);
+            totalDownloaded += data.byteLength;
+            segmentCount++;
+            if (track.name !== 'audio') updateQuality(msg.variantIndex);
+
+            // The bytes decide the container; the playlist's declaration is the fallback
+            const init = msg.init ? new Uint8Array(msg.init) : null;
+            const container = detectContainer(init || data) || track.container;
+
+            if (!ensureSinks(track, container, init)) {
+                console.error(`[FastStream] Segment ${msg.segmentId} is ${container}, expected ${track.sinkContainer}; skipping`);
+            } else if (container === 'ts') {
+                // Timestamps restart here (skipped live segments, playlist reset or
+                // #EXT-X-DISCONTINUITY): continue the timeline at the buffered end
+                if (msg.discontinuity && segmentCount > 1) {
+                    const bufferedEnd = video.buffered.length > 0 ? video.buffered.end(video.buffered.length - 1) : 0;
+                    transmuxer.setBaseMediaDecodeTime(Math.round(bufferedEnd * 90000));
                 }
 
-                // Continue
-                setTimeout(downloadNextSegment, 50);
+                // Push to transmuxer (TS → fMP4); the bytes are transferred, don't reuse `data`
+                transmuxer.transmux(data);
+            } else {
+                appendFragment(track, msg, init, data);
+            }
+
+            track.currentSegment++;
 
-            } catch (e) {
-                console.error('[FastStream] Segment error:', e);
-                // Retry once
-                setTimeout(downloadNextSegment, 2000);
+            // Auto-play
+            if (segmentCount === 1 && video.paused) {
+                setTimeout(() => {
+                    video.play().catch(() => { });
+                    playBtn.textContent = '⏸';
+                }, 500);
+            }
+
+            // Continue
+            scheduleRequest(track, 50);
+        };
+
+        /**
+         * fMP4 (and WebM): append the init segment when it changed (first segment,
+         * quality switch, new period or #EXT-X-MAP), then the fragment as-is.
+         */
+        function appendFragment(track, msg, init, data) {
+            if (init) {
+                totalDownloaded += init.byteLength;
+                appendToSink(track.name, { data: init });
+                track.initId = msg.initId;
+                track.timescales = track.sinkContainer === 'fmp4' ? parseInitTimescales(init) : null;
+            }
+
+            // DASH sends the offset; HLS fragments keep their own decode times, so
+            // line them up with the playlist timeline (which seeking uses) from tfdt.
+            // Live windows slide, so live continues at the buffered end instead.
+            let timestampOffset = msg.timestampOffset;
+            if (timestampOffset === null || timestampOffset === undefined) {
+                const target = isLive
+                    ? (video.buffered.length > 0 ? video.buffered.end(video.buffered.length - 1) : 0)
+                    : msg.segmentStart;
+                if ((track.resync || msg.discontinuity) && track.timescales && target !== null) {
+                    const mediaStart = getMediaStartTime(data, track.timescales);
+                    if (mediaStart !== null) track.offset = target - mediaStart;
+                    track.resync = false;
+                }
+                timestampOffset = track.offset;
             }
+            appendToSink(track.name, { data, timestampOffset });
         }
+
+        engineHandlers.END_OF_STREAM = (msg) => {
+            const track = getTrack(msg);
+            if (!track) return;
+            track.ended = true;
+            if (!Object.values(tracks).every(t => t.ended)) return;
+
+            console.log('[FastStream] All segments downloaded');
+            setTimeout(() => {
+                if (mediaSource.readyState === 'open') {
+                    try {
+                        mediaSource.endOfStream();
+                    } catch (e) { /* ignore */ }
+                }
+            }, 2000);
+        };
     }
 
 })();
@@ -1,15 +1,10 @@
 /**
  * FastStream Mobile - Content Sniffer
- * Runs in "ISOLATED" world. Injects interceptor and relays messages to background.
+ * Runs in "ISOLATED" world. Relays the interceptor's messages to background.
  */
 
-// 1. Inject the hook script into the MAIN world
-const script = document.createElement('script');
-script.src = chrome.runtime.getURL('content/interceptor.js');
-script.onload = function () {
-    this.remove();
-};
-(document.head || document.documentElement).appendChild(script);
+// 1. The hook script (content/interceptor.js) runs in the MAIN world on its own,
+// declared in the manifest next to this one
 
 // 2. Listen for messages from the interceptor
 window.addEventListener('message', (event) => {
@@ -18,6 +13,11 @@ window.addEventListener('message', (event) => {
 
     const message = event.data;
     if (message && message.source === 'faststream-interceptor') {
+        // Recorded appends carry bytes: they take the capture port (2c)
+        if (message.type === 'MSE_APPEND') {
+            relayCapture(message);
+            return;
+        }
 
         // Relay to Background Service Worker
         chrome.runtime.sendMessage({
@@ -30,14 +30,121 @@ window.addEventListener('message', (event) => {
     }
 });
 
+// 2b. Player <-> Engine bridge
+// The player runs in the MAIN world without chrome.runtime, so its control
+// messages are relayed over a 'faststream-player' port opened from here.
+let playerInjected = false;
+let playerPort = null;
+
+// Binary encoding for runtime messaging (content scripts can't use static imports)
+const transportLib = import(chrome.runtime.getURL('shared/transport.js'));
+
+window.addEventListener('message', async (event) => {
+    if (event.source !== window || !playerInjected) return;
+    if (event.data?.source !== 'faststream-player') return;
+
+    // Transmuxer commands skip the engine (and the wait below): they keep their own order
+    const command = event.data.transmux;
+    if (command) {
+        transmuxPort?.postMessage(command, command.data ? [command.data] : []);
+        return;
+    }
+
+    const message = event.data.message;
+
+    // Every relay awaits the same promise, so messages keep their order
+    const { createProbe, decodeBinary } = await transportLib;
+
+    // Player closed: its last messages are out, nothing more to relay either way
+    if (message.action === 'CLOSE') {
+        playerPort?.disconnect();
+        playerPort = null;
+        closeTransmuxer();
+        playerInjected = false;
+        return;
+    }
+
+    if (!playerPort) {
+        playerPort = chrome.runtime.connect({ name: 'faststream-player' });
+        playerPort.onMessage.addListener((msg) => relayToPlayer(msg, decodeBinary));
+        playerPort.onDisconnect.addListener(() => {
+            // Service worker restarted: the player has to CONNECT again
+            playerPort = null;
+            window.postMessage({ source: 'faststream-engine', message: { action: 'DISCONNECTED' } }, '*');
+        });
+        // Lets the engine pick how to send segment bytes on this port
+        playerPort.postMessage({ action: 'TRANSPORT_PROBE', probe: createProbe() });
+    }
+    playerPort.postMessage(message);
+});
+
+// Segment bytes arrive encoded for runtime messaging; the page gets plain
+// ArrayBuffers, transferred rather than copied
+function relayToPlayer(msg, decodeBinary) {
+    const transfer = [];
+    if (msg.action === 'SEGMENT_DATA') {
+        msg.data = decodeBinary(msg.data);
+        transfer.push(msg.data);
+        if (msg.init) {
+            msg.init = decodeBinary(msg.init);
+            transfer.push(msg.init);
+        }
+    }
+    window.postMessage({ source: 'faststream-engine', message: msg }, '*', transfer);
+}
+
+// 2c. MSE capture relay (opt-in, see CAPTURE_START below)
+// The interceptor copies the page's SourceBuffer appends out; they go to the
+// engine over a 'faststream-capture' port, encoded for whatever that channel
+// carries (the engine answers our probe with the mode).
+let capturePort = null;
+let captureMode = null; // Promise<'clone'|'base64'> for capturePort
+let captureQueue = Promise.resolve(); // Chunks leave in append order
+
+function openCapturePort(createProbe, fallbackMode) {
+    const port = chrome.runtime.connect({ name: 'faststream-capture' });
+    captureMode = new Promise((resolve) => {
+        port.onMessage.addListener((msg) => {
+            if (msg.action === 'TRANSPORT') resolve(msg.mode);
+            // The engine isn't recording this stream (stopped, full, ended)
+            if (msg.action === 'CAPTURE_STOP') window.postMessage({ type: 'CAPTURE_STOP' }, '*');
+        });
+        port.onDisconnect.addListener(() => {
+            // Service worker restarted: the next chunk opens a new port
+            if (capturePort === port) capturePort = null;
+            resolve(fallbackMode);
+        });
+    });
+    port.postMessage({ action: 'TRANSPORT_PROBE', probe: createProbe() });
+    return port;
+}
+
+function relayCapture(message) {
+    captureQueue = captureQueue.then(async () => {
+        const { createProbe, encodeBinary, TRANSPORT_BASE64 } = await transportLib;
+        if (!capturePort) capturePort = openCapturePort(createProbe, TRANSPORT_BASE64);
+        const port = capturePort;
+        const mode = await captureMode;
+        try {
+            port.postMessage({ action: 'MSE_APPEND', payload: message.payload, data: encodeBinary(message.buffer, mode) });
+        } catch (e) {
+            // Port closed while we waited: this chunk is lost
+        }
+    });
+}
+
 // 3. Simple DOM scanner for <video> tags (Fallback)
-function scanVideoTags() {
+const streamTypeLib = import(chrome.runtime.getURL('shared/stream-type.js'));
+
+async function scanVideoTags() {
+    const { classifyUrl, classifyMediaUrl } = await streamTypeLib;
     const videos = document.getElementsByTagName('video');
     for (const video of videos) {
-        if (video.src && (video.src.includes('.m3u8') || video.src.includes('.mpd'))) {
+        const type = video.src ? classifyUrl(video.src) || classifyMediaUrl(video.src) : null;
+        if (type) {
             chrome.runtime.sendMessage({
                 action: 'STREAM_FOUND',
-                payload: { url: video.src, method: 'dom_scan', type: video.src.includes('.m3u8') ? 'hls' : 'dash' }
+                payload: { url: video.src, method: 'dom_scan', type }
             });
         }
     }
@@ -48,9 +155,59 @@ scanVideoTags();
 const observer = new MutationObserver(() => scanVideoTags());
 observer.observe(document.documentElement, { childList: true, subtree: true });
 
+// Bundled transmuxer (vendor/mux.min.js, copied by scripts/build.js). It never
+// runs in the page: a hidden extension frame starts content/transmux-worker.js,
+// and the player's commands and the worker's output pass through here over a
+// MessagePort, so neither the page's CSP nor its scripts can reach mux.js.
+let transmuxFrame = null;
+let transmuxPort = null;
+
+function openTransmuxer() {
+    if (transmuxPort) return;
+    const channel = new MessageChannel();
+    transmuxPort = channel.port1;
+    // The port queues commands until the worker starts listening
+    transmuxPort.onmessage = (event) => {
+        const output = event.data;
+        window.postMessage({ source: 'faststream-engine', message: { action: 'TRANSMUX_OUTPUT', output } }, '*',
+            output.data ? [output.data] : []);
+    };
+
+    transmuxFrame = document.createElement('iframe');
+    transmuxFrame.src = chrome.runtime.getURL('content/transmux-frame.html');
+    transmuxFrame.style.display = 'none';
+    transmuxFrame.addEventListener('load', () => {
+        transmuxFrame.contentWindow.postMessage('faststream-transmux', new URL(transmuxFrame.src).origin, [channel.port2]);
+    }, { once: true });
+    (document.body || document.documentElement).appendChild(transmuxFrame);
+}
+
+function closeTransmuxer() {
+    transmuxPort?.close();
+    transmuxPort = null;
+    transmuxFrame?.remove(); // Ends the worker too
+    transmuxFrame = null;
+}
+
 // 4. Proxy Fetch for Authenticated Downloads (Solution 2: Main World Proxy)
 // TIMEOUT: 30s - if main world doesn't respond, fail gracefully
+// In-flight FETCH_PROXY requests: downloader requestId -> cancel()
+const proxyFetches = new Map();
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.action === 'FETCH_CANCEL') {
+        // Seek/pause/reset in the downloader: abort the page's XHR
+        proxyFetches.get(message.requestId)?.();
+        return false;
+    }
+
+    if (message.action === 'CAPTURE_START' || message.action === 'CAPTURE_STOP') {
+        // The popup (through the engine) opting this frame's MSE stream in or out of recording
+        window.postMessage({ type: message.action }, '*');
+        sendResponse({ success: true });
+        return false;
+    }
+
     if (message.action === 'FETCH_PROXY') {
         const id = crypto.randomUUID();
         const TIMEOUT_MS = 30000;
@@ -68,27 +225,53 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             type: 'FETCH_PAGE',
             id,
             url: message.url,
-            headers: fetchHeaders
+            method: message.method || 'GET',
+            headers: fetchHeaders,
+            keepIgnoredRange: !!message.keepIgnoredRange
         }, '*');
 
+        const finish = () => {
+            responded = true;
+            clearTimeout(timeoutId);
+            window.removeEventListener('message', handler);
+            proxyFetches.delete(message.requestId);
+        };
+
+        if (message.requestId) {
+            proxyFetches.set(message.requestId, () => {
+                if (responded) return;
+                finish();
+                window.postMessage({ type: 'FETCH_ABORT', id }, '*');
+                sendResponse({ success: false, error: 'Cancelled' });
+            });
+        }
+
         // Handler for response from main world
         const handler = (event) => {
             if (responded) return;
             if (event.data?.id === id && event.data.source === 'faststream-interceptor') {
-                responded = true;
-                clearTimeout(timeoutId);
-                window.removeEventListener('message', handler);
+                finish();
 
                 if (event.data.type === 'FETCH_RESULT') {
-                    if (message.responseType === 'text') {
+                    if (message.method === 'HEAD') {
+                        sendResponse({ success: true, size: event.data.size });
+                    } else if (message.responseType === 'text') {
                         const uint8 = new Uint8Array(event.data.buffer);
                         const text = new TextDecoder().decode(uint8);
                         sendResponse({ success: true, data: { text } });
                     } else {
-                        sendResponse({ success: true, data: { buffer: event.data.buffer } });
+                        // Encoded for the mode the engine asked for (see shared/transport.js)
+                        transportLib
+                            .then(({ encodeBinary }) => sendResponse({
+                                success: true,
+                                data: encodeBinary(event.data.buffer, message.transport),
+                                rangeIgnored: event.data.rangeIgnored
+                            }))
+                            .catch(err => sendResponse({ success: false, error: err.message }));
                     }
                 } else {
-                    sendResponse({ success: false, error: event.data.error });
+                    // status lets the downloader tell retryable failures from fatal ones
+                    sendResponse({ success: false, error: event.data.error, status: event.data.status || 0 });
                 }
             }
         };
@@ -98,8 +281,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         // Timeout: fail if main world doesn't respond in time
         timeoutId = setTimeout(() => {
             if (!responded) {
-                responded = true;
-                window.removeEventListener('message', handler);
+                finish();
+                window.postMessage({ type: 'FETCH_ABORT', id }, '*');
                 sendResponse({
                     success: false,
                     error: `Main world fetch timeout (${TIMEOUT_MS}ms) - page may have navigated`
@@ -110,7 +293,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         return true; // Async response
     }
 
-    // 5. INJECT PLAYER OVERLAY INTO PAGE (inline to use page's network identity)
+    // 5. INJECT PLAYER OVERLAY INTO PAGE (MAIN world, to use page's network identity)
     if (message.action === 'INJECT_PLAYER') {
         const hasVideo = document.querySelector('video') !== null;
 
@@ -119,35 +302,28 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             return true;
         }
 
-        if (window.__FASTSTREAM_PLAYER_INJECTED__) {
+        if (playerInjected) {
             sendResponse({ success: true, skipped: true });
             return true;
         }
 
         console.log('[FastStream] Injecting player');
+        playerInjected = true; // The player's first messages may beat the engine's reply
+        openTransmuxer();
 
-        // Fetch and inject player
-        fetch(chrome.runtime.getURL('content/player-overlay.js'))
-            .then(response => response.text())
-            .then(playerCode => {
-                // Inject stream info
-                const infoScript = document.createElement('script');
-                infoScript.textContent = `window.__FASTSTREAM_STREAM_INFO__ = ${JSON.stringify(message.streamInfo)};`;
-                (document.head || document.documentElement).appendChild(infoScript);
-                infoScript.remove();
-
-                // Inject player INLINE
-                const playerScript = document.createElement('script');
-                playerScript.textContent = playerCode;
-                (document.head || document.documentElement).appendChild(playerScript);
-                playerScript.remove();
-
-                console.log('[FastStream] Player injected inline (page origin)');
+        // Only the engine can inject files into the MAIN world (chrome.scripting);
+        // it targets this frame, the one the message came from
+        chrome.runtime.sendMessage({ action: 'INJECT_PLAYER_SCRIPTS', streamInfo: message.streamInfo })
+            .then((response) => {
+                if (!response?.success) throw new Error(response?.error || 'No response from the engine');
+                console.log('[FastStream] Player injected');
                 sendResponse({ success: true });
             })
             .catch(err => {
-                console.error('[FastStream] Failed to load player script:', err);
-                sendResponse({ success: false, error: 'Failed to load player script: ' + err.message });
+                console.error('[FastStream] Failed to inject player:', err);
+                playerInjected = false;
+                closeTransmuxer();
+                sendResponse({ success: false, error: 'Failed to inject player: ' + err.message });
             });
 
         return true; // Async response
@@ -0,0 +1,13 @@
+/**
+ * FastStream Mobile - Transmux Frame
+ * Hidden extension page the sniffer adds next to the player. It gives the
+ * transmux worker an extension origin: mux.js never runs in the page, and the
+ * page's CSP (worker-src, script-src) doesn't apply to it.
+ * The sniffer sends one MessagePort; the worker talks over it directly.
+ */
+
+window.addEventListener('message', (event) => {
+    if (event.data !== 'faststream-transmux' || !event.ports[0]) return;
+    const worker = new Worker('transmux-worker.js');
+    worker.postMessage({ action: 'connect' }, [event.ports[0]]);
+});
@@ -0,0 +1,66 @@
+/**
+ * FastStream Mobile - Transmux Worker
+ * Runs mux.js (TS → fMP4) at the extension's origin, off every main thread.
+ * Started by content/transmux-frame.js; commands and output go over the
+ * MessagePort it hands us, relayed to and from the player by the sniffer.
+ */
+
+// mux.js's UMD wrapper reads `window`, which workers don't have
+self.window = self;
+importScripts('../vendor/mux.min.js');
+
+// Outputs are tagged so the player can drop anything produced before a seek
+let generation = 0;
+let port = null;
+
+const transmuxer = new muxjs.mp4.Transmuxer({
+    keepOriginalTimestamps: false,
+    remux: false
+});
+
+transmuxer.on('data', (segment) => {
+    // Init segment + data in one buffer, handed back without a copy
+    const bytes = new Uint8Array(segment.initSegment.byteLength + segment.data.byteLength);
+    bytes.set(segment.initSegment, 0);
+    bytes.set(segment.data, segment.initSegment.byteLength);
+
+    port.postMessage({
+        action: 'data',
+        generation,
+        type: segment.type,
+        initSegment: segment.initSegment,
+        data: bytes.buffer
+    }, [bytes.buffer]);
+});
+
+transmuxer.on('done', () => {
+    port.postMessage({ action: 'done', generation });
+});
+
+self.onmessage = (event) => {
+    port = event.ports[0];
+    port.onmessage = handleCommand;
+};
+
+function handleCommand(event) {
+    const msg = event.data;
+    switch (msg.action) {
+        case 'transmux':
+            try {
+                transmuxer.push(new Uint8Array(msg.data));
+                transmuxer.flush();
+            } catch (e) {
+                port.postMessage({ action: 'error', generation, message: e.message });
+            }
+            break;
+
+        case 'reset':
+            generation = msg.generation;
+            transmuxer.reset();
+            break;
+
+        case 'setBaseMediaDecodeTime':
+            transmuxer.setBaseMediaDecodeTime(msg.value);
+            break;
+    }
+}
@@ -2,12 +2,17 @@
  * FastStream Mobile - Popup Logic
  */
 
+import { describeVariant } from '../../shared/hls-playlist.js';
+import { BufferManager } from '../../background/buffer-manager.js';
+import { MseCapture } from '../../background/mse-capture.js';
+
 document.addEventListener('DOMContentLoaded', async () => {
     const list = document.getElementById('stream-list');
     const emptyState = document.getElementById('empty-state');
 
     // Get current tab
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    bindFetchMode(tab).catch(e => console.error('Fetch mode setting failed:', e));
 
     // Real messaging:
     chrome.runtime.sendMessage({ action: 'GET_STREAMS', tabId: tab.id }, (response) => {
@@ -17,15 +22,31 @@ document.addEventListener('DOMContentLoaded', async () => {
             emptyState.style.display = 'none';
 
             response.streams.forEach(stream => {
-                const item = document.createElement('li');
-                item.className = 'stream-item';
-                item.innerHTML = `
-                    <div class="stream-info">
-                        <span class="stream-type ${stream.type}">${stream.type.toUpperCase()}</span>
-                        <span class="stream-url" title="${stream.url || 'Internal'}">${stream.url || 'MediaSource Stream'}</span>
-                    </div>
-                    <button class="btn-launch" data-id="${stream.id}">Launch</button>
-                `;
+                // Built node by node: type, url and method come from the page
+                const item = createElement('li', 'stream-item');
+                const info = createElement('div', 'stream-info');
+                const url = createElement('span', 'stream-url', stream.url || 'MediaSource Stream');
+                url.title = stream.url || 'Internal';
+                info.append(
+                    createElement('span', `stream-type ${stream.type}`, stream.type.toUpperCase()),
+                    url,
+                    ...[renderVariants(stream), renderFile(stream), renderCapture(stream), renderDetection(stream)].filter(Boolean)
+                );
+                item.append(info);
+                if (stream.type === 'mse') {
+                    item.append(renderCaptureButtons(stream));
+                } else {
+                    const launch = createElement('button', 'btn-launch', 'Launch');
+                    launch.dataset.id = stream.id;
+                    item.append(launch);
+                }
+
+                // MSE streams have no URL to play: they can be recorded and exported instead
+                if (stream.type === 'mse') {
+                    bindCaptureButtons(item, stream, tab.id);
+                    list.appendChild(item);
+                    return;
+                }
 
                 item.querySelector('.btn-launch').addEventListener('click', async (e) => {
                     const streamId = e.target.getAttribute('data-id');
@@ -33,12 +54,13 @@ document.addEventListener('DOMContentLoaded', async () => {
                     btn.textContent = 'Injecting...';
                     btn.disabled = true;
 
-                    // Send message to content script to inject player
+                    // Send message to the content script of the frame the stream was found in
+                    // (embedded players usually sit in an iframe; the top frame has no video)
                     chrome.tabs.sendMessage(tab.id, {
                         action: 'INJECT_PLAYER',
                         streamId: streamId,
                         streamInfo: stream
-                    }, (response) => {
+                    }, { frameId: stream.frameId || 0 }, (response) => {
                         if (chrome.runtime.lastError) {
                             btn.textContent = 'Error!';
                             console.error('Inject failed:', chrome.runtime.lastError);
@@ -62,3 +84,168 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     });
 });
+
+/**
+ * The site's fetch mode (chrome.storage.local 'fetchModes', see README).
+ * The engine reads it when a player connects, so it applies from the next launch.
+ */
+async function bindFetchMode(tab) {
+    const select = document.getElementById('fetch-mode');
+    let site = null;
+    try {
+        site = new URL(tab.url).hostname;
+    } catch (e) { /* no usable URL */ }
+    if (!site) return; // Browser pages, files: nothing to set
+
+    const { fetchModes = {} } = await chrome.storage.local.get('fetchModes');
+    select.value = fetchModes[site] || 'auto';
+    select.disabled = false;
+
+    select.addEventListener('change', async () => {
+        // Re-read: another popup may have changed other sites meanwhile
+        const { fetchModes = {} } = await chrome.storage.local.get('fetchModes');
+        if (select.value === 'auto') delete fetchModes[site];
+        else fetchModes[site] = select.value;
+        await chrome.storage.local.set({ fetchModes });
+    });
+}
+
+function createElement(tag, className, text = null) {
+    const element = document.createElement(tag);
+    element.className = className;
+    if (text !== null) element.textContent = text;
+    return element;
+}
+
+/**
+ * Summarise the engine's variant list, e.g. "720p · 2.5 Mbps (3 of 5)"
+ */
+function renderVariants(stream) {
+    const variants = stream.variants;
+    if (!variants || variants.length === 0) return null;
+
+    const selected = variants[stream.variantIndex];
+    const summary = createElement('span', 'stream-variants', `${describeVariant(selected)} (${stream.variantIndex + 1} of ${variants.length})`);
+    summary.title = variants.map(v => v.resolution ? `${v.resolution.height}p` : `${Math.round(v.bandwidth / 1000)}k`).join(', ');
+    return summary;
+}
+
+/**
+ * Progressive files: duration and size, e.g. "1:02:05 · 843 MB"
+ */
+function renderFile(stream) {
+    const parts = [];
+    if (stream.duration) parts.push(formatDuration(stream.duration));
+    if (stream.size) parts.push(formatSize(stream.size));
+    return parts.length > 0 ? createElement('span', 'stream-variants', parts.join(' · ')) : null;
+}
+
+function formatDuration(seconds) {
+    const total = Math.round(seconds);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor(total / 60) % 60;
+    const s = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * MSE recording summary, e.g. "Recording · 2 tracks · 14.2 MB"
+ */
+function renderCapture(stream) {
+    const capture = stream.capture;
+    if (!capture || capture.status === 'idle') return null;
+
+    const labels = { recording: 'Recording', stopped: 'Stopped', full: 'Stopped (storage limit)', failed: 'Stopped (storage error)' };
+    const tracks = Object.keys(capture.tracks).length;
+    const parts = [labels[capture.status] || capture.status, `${tracks} track${tracks === 1 ? '' : 's'}`, formatSize(capture.bytes)];
+    return createElement('span', 'stream-variants stream-capture', parts.join(' · '));
+}
+
+function renderCaptureButtons(stream) {
+    const actions = createElement('div', 'stream-actions');
+    const exportBtn = createElement('button', 'btn-launch btn-export', 'Export');
+    exportBtn.disabled = !(stream.capture?.bytes > 0);
+    actions.append(createElement('button', 'btn-launch btn-capture', stream.capture?.status === 'recording' ? 'Stop' : 'Record'), exportBtn);
+    return actions;
+}
+
+function bindCaptureButtons(item, stream, tabId) {
+    const captureBtn = item.querySelector('.btn-capture');
+    const exportBtn = item.querySelector('.btn-export');
+    const summary = () => item.querySelector('.stream-capture');
+
+    captureBtn.addEventListener('click', () => {
+        const start = stream.capture?.status !== 'recording';
+        captureBtn.disabled = true;
+        chrome.runtime.sendMessage({ action: start ? 'CAPTURE_START' : 'CAPTURE_STOP', streamId: stream.id }, (response) => {
+            captureBtn.disabled = false;
+            if (!response || !response.success) {
+                captureBtn.textContent = 'Failed';
+                console.error('Capture failed:', response?.error || chrome.runtime.lastError);
+                return;
+            }
+            stream.capture = response.capture;
+            captureBtn.textContent = start ? 'Stop' : 'Record';
+            exportBtn.disabled = !(stream.capture.bytes > 0);
+            // Only appended from now on: show the state the user just asked for
+            const updated = renderCapture(stream);
+            if (summary()) summary().replaceWith(...(updated ? [updated] : []));
+            else if (updated) item.querySelector('.stream-detection').before(updated);
+        });
+    });
+
+    exportBtn.addEventListener('click', async () => {
+        exportBtn.disabled = true;
+        exportBtn.textContent = 'Exporting...';
+        try {
+            await exportCapture(stream, tabId);
+            exportBtn.textContent = 'Export';
+        } catch (e) {
+            console.error('Export failed:', e);
+            exportBtn.textContent = 'Failed';
+        }
+        exportBtn.disabled = false;
+    });
+}
+
+/**
+ * Save each recorded SourceBuffer as a file: its chunks in append order are a
+ * playable fragmented MP4 / WebM (init segment first, then media). The chunks
+ * are read straight from the engine's IndexedDB store (same extension origin).
+ */
+async function exportCapture(stream, tabId) {
+    // Fresh counts: the engine may have stored more since the popup opened
+    const response = await chrome.runtime.sendMessage({ action: 'GET_STREAMS', tabId });
+    const capture = response?.streams?.find(s => s.id === stream.id)?.capture || stream.capture;
+
+    for (const [bufferId, track] of Object.entries(capture.tracks)) {
+        const parts = await BufferManager.readSegments(tabId, MseCapture.trackStreamId(stream.id, bufferId), track.chunks);
+        const type = track.mimeType.split(';')[0].trim();
+        const blob = new Blob(parts, { type });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `faststream-capture-${bufferId}.${fileExtension(type)}`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 60000);
+    }
+}
+
+function fileExtension(mimeType) {
+    const extensions = { 'video/mp4': 'mp4', 'audio/mp4': 'm4a', 'video/webm': 'webm', 'audio/webm': 'weba', 'video/mp2t': 'ts', 'audio/mpeg': 'mp3', 'audio/aac': 'aac' };
+    return extensions[mimeType] || 'bin';
+}
+
+function formatSize(bytes) {
+    return `${(bytes / 1024 / 1024).toFixed(bytes < 10 * 1024 * 1024 ? 1 : 0)} MB`;
+}
+
+/**
+ * How and when the engine saw the stream, e.g. "xhr · 14:02:31 · iframe".
+ * Tells a trailer or an ad from the main video when a page has several.
+ */
+function renderDetection(stream) {
+    const parts = [stream.method || 'unknown'];
+    if (stream.detectedAt) parts.push(new Date(stream.detectedAt).toLocaleTimeString());
+    if (stream.frameId) parts.push('iframe');
+    return createElement('span', 'stream-detection', parts.join(' · '));
+}
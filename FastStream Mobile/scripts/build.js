@@ -12,10 +12,24 @@ const DIST = path.join(ROOT, 'dist');
 const SHARED_FILES = [
     'background',
     'content',
+    'shared',
     'popup',
     'icons'
 ];
 
+// Runtime dependencies shipped inside the package (the player must not need a CDN)
+const VENDOR_FILES = [
+    { from: 'node_modules/mux.js/dist/mux.min.js', to: 'vendor/mux.min.js' }
+];
+
+// Shared ES modules the in-page player and interceptor need, rewritten as classic
+// scripts into page/ so they can be injected as files (see toPageScript)
+const PAGE_LIBS = [
+    'shared/hls-playlist.js',
+    'shared/container.js',
+    'shared/stream-type.js'
+];
+
 async function build() {
     console.log('[Build] Starting...');
 
@@ -48,7 +62,25 @@ async function buildTarget(browser) {
         }
     }
 
-    // 2. Process Manifest
+    // 2. Copy Vendor Files
+    for (const { from, to } of VENDOR_FILES) {
+        const src = path.join(ROOT, from);
+        if (!fs.existsSync(src)) {
+            throw new Error(`[Build] ${from} not found - run npm install first`);
+        }
+        const dest = path.join(targetDir, to);
+        fs.mkdirSync(path.dirname(dest), { recursive: true });
+        fs.copyFileSync(src, dest);
+    }
+
+    // 3. Page Libraries
+    for (const lib of PAGE_LIBS) {
+        const dest = path.join(targetDir, 'page', path.basename(lib));
+        fs.mkdirSync(path.dirname(dest), { recursive: true });
+        fs.writeFileSync(dest, toPageScript(fs.readFileSync(path.join(ROOT, lib), 'utf8')));
+    }
+
+    // 4. Process Manifest
     const manifestPath = path.join(ROOT, 'manifest.json');
     const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
 
@@ -57,7 +89,8 @@ async function buildTarget(browser) {
         manifest.browser_specific_settings = {
             gecko: {
                 id: "faststream-mobile@antigravity.dev",
-                strict_min_version: "109.0"
+                // scripting.executeScript({ world: 'MAIN' }) (player injection)
+                strict_min_version: "128.0"
             }
         };
 
@@ -76,4 +109,17 @@ async function buildTarget(browser) {
     );
 }
 
+/**
+ * ES module -> classic script: strips the `export` keywords (page libs must not
+ * import anything) and publishes the exported names on window.__FASTSTREAM_LIB__
+ */
+function toPageScript(code) {
+    const names = [];
+    const body = code.replace(/^export\s+(?:async\s+)?(function|class|const|let)\s+([A-Za-z_$][\w$]*)/gm, (match, kind, name) => {
+        names.push(name);
+        return match.replace(/^export\s+/, '');
+    });
+    return `(function () {\n${body}\nwindow.__FASTSTREAM_LIB__ = Object.assign(window.__FASTSTREAM_LIB__ || {}, { ${names.join(', ')} });\n})();\n`;
+}
+
 build().catch(err => console.error(err));
@@ -0,0 +1,303 @@
+/**
+ * FastStream Mobile - Container Probing
+ * Magic-byte detection and the few ISO BMFF boxes the player needs to place
+ * fMP4 fragments on the playlist timeline and to type its SourceBuffers. Inlined into the page player via
+ * PAGE_LIBS (content/sniffer.js), so keep it free of imports.
+ */
+
+const TS_SYNC_BYTE = 0x47;
+const TS_PACKET_SIZE = 188;
+const FMP4_LEADING_BOXES = ['ftyp', 'styp', 'moov', 'moof', 'sidx', 'emsg', 'prft'];
+const EBML_MAGIC = [0x1A, 0x45, 0xDF, 0xA3]; // WebM header (only the init segment starts with it)
+
+function fourCC(view, offset) {
+    return String.fromCharCode(
+        view.getUint8(offset), view.getUint8(offset + 1),
+        view.getUint8(offset + 2), view.getUint8(offset + 3)
+    );
+}
+
+/**
+ * Identify a segment's container from its first bytes
+ * @param {Uint8Array} bytes
+ * @returns {'ts'|'fmp4'|'webm'|null} null if unrecognised
+ */
+export function detectContainer(bytes) {
+    if (!bytes || bytes.byteLength < 8) return null;
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (FMP4_LEADING_BOXES.includes(fourCC(view, 4))) return 'fmp4';
+    if (EBML_MAGIC.every((byte, i) => bytes[i] === byte)) return 'webm';
+
+    // MPEG-TS: a sync byte at the start of every 188-byte packet
+    if (bytes[0] === TS_SYNC_BYTE && (bytes.byteLength <= TS_PACKET_SIZE || bytes[TS_PACKET_SIZE] === TS_SYNC_BYTE)) {
+        return 'ts';
+    }
+    return null;
+}
+
+/**
+ * Iterate the boxes between `start` and `end`
+ */
+function* boxes(view, start, end) {
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = view.getUint32(offset);
+        let headerSize = 8;
+        if (size === 1) {
+            size = Number(view.getBigUint64(offset + 8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset; // Extends to the end of the container
+        }
+        if (size < headerSize || offset + size > end) return;
+
+        yield { type: fourCC(view, offset + 4), payload: offset + headerSize, end: offset + size };
+        offset += size;
+    }
+}
+
+function findBox(view, parent, type) {
+    for (const box of boxes(view, parent.payload, parent.end)) {
+        if (box.type === type) return box;
+    }
+    return null;
+}
+
+/**
+ * Read each track's timescale from an init segment (moov/trak/mdia/mdhd)
+ * @param {Uint8Array} bytes
+ * @returns {Map<number, number>} track_ID -> timescale
+ */
+export function parseInitTimescales(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const timescales = new Map();
+
+    for (const moov of boxes(view, 0, bytes.byteLength)) {
+        if (moov.type !== 'moov') continue;
+        for (const trak of boxes(view, moov.payload, moov.end)) {
+            if (trak.type !== 'trak') continue;
+            const tkhd = findBox(view, trak, 'tkhd');
+            const mdia = findBox(view, trak, 'mdia');
+            const mdhd = mdia && findBox(view, mdia, 'mdhd');
+            if (!tkhd || !mdhd) continue;
+
+            // Version 1 boxes use 64-bit creation/modification times
+            const trackId = view.getUint32(tkhd.payload + (view.getUint8(tkhd.payload) === 1 ? 20 : 12));
+            const timescale = view.getUint32(mdhd.payload + (view.getUint8(mdhd.payload) === 1 ? 20 : 12));
+            timescales.set(trackId, timescale);
+        }
+    }
+    return timescales;
+}
+
+/**
+ * Earliest decode time (seconds) in a media fragment, from moof/traf/tfdt
+ * @param {Uint8Array} bytes
+ * @param {Map<number, number>} timescales - parseInitTimescales output
+ * @returns {number|null} null if the fragment carries no usable tfdt
+ */
+export function getMediaStartTime(bytes, timescales) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let start = null;
+
+    for (const moof of boxes(view, 0, bytes.byteLength)) {
+        if (moof.type !== 'moof') continue;
+        for (const traf of boxes(view, moof.payload, moof.end)) {
+            if (traf.type !== 'traf') continue;
+            const tfhd = findBox(view, traf, 'tfhd');
+            const tfdt = findBox(view, traf, 'tfdt');
+            if (!tfhd || !tfdt) continue;
+
+            const timescale = timescales.get(view.getUint32(tfhd.payload + 4));
+            if (!timescale) continue;
+            const baseTime = view.getUint8(tfdt.payload) === 1
+                ? Number(view.getBigUint64(tfdt.payload + 4))
+                : view.getUint32(tfdt.payload + 4);
+
+            const seconds = baseTime / timescale;
+            if (start === null || seconds < start) start = seconds;
+        }
+    }
+    return start;
+}
+
+// ============================================================================
+// CODEC STRINGS (RFC 6381) FROM INIT SEGMENTS
+// ============================================================================
+
+// WebM spells VP8/VP9 'vp8' / 'vp9'
+const VIDEO_CODECS = ['avc1', 'avc3', 'hvc1', 'hev1', 'dvh1', 'dvhe', 'vp08', 'vp09', 'vp8', 'vp9', 'av01'];
+const AUDIO_CODECS = ['mp4a', 'ac-3', 'ec-3', 'ac-4', 'opus', 'flac', 'alac', 'vorbis'];
+
+// Bytes between a sample entry's header and its child boxes
+const VISUAL_SAMPLE_ENTRY_SIZE = 78;
+const AUDIO_SAMPLE_ENTRY_SIZE = 28;
+
+const hex2 = n => n.toString(16).padStart(2, '0');
+const dec2 = n => n.toString().padStart(2, '0');
+
+/**
+ * Split a CODECS attribute ("avc1.64001f,mp4a.40.2") into its video and audio parts
+ * @returns {{video: string|null, audio: string|null}}
+ */
+export function splitCodecs(codecs) {
+    const result = { video: null, audio: null };
+    for (const codec of (codecs || '').split(',').map(c => c.trim()).filter(Boolean)) {
+        const fourcc = codec.split('.')[0].toLowerCase();
+        if (VIDEO_CODECS.includes(fourcc) && !result.video) result.video = codec;
+        else if (AUDIO_CODECS.includes(fourcc) && !result.audio) result.audio = codec;
+    }
+    return result;
+}
+
+/**
+ * Read the codec string of every track in an init segment (moov/trak/.../stsd)
+ * @param {Uint8Array} bytes
+ * @returns {Array<{type: 'video'|'audio', codec: string}>}
+ */
+export function getInitCodecs(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const codecs = [];
+
+    for (const moov of boxes(view, 0, bytes.byteLength)) {
+        if (moov.type !== 'moov') continue;
+        for (const trak of boxes(view, moov.payload, moov.end)) {
+            if (trak.type !== 'trak') continue;
+            const mdia = findBox(view, trak, 'mdia');
+            const hdlr = mdia && findBox(view, mdia, 'hdlr');
+            const minf = mdia && findBox(view, mdia, 'minf');
+            const stbl = minf && findBox(view, minf, 'stbl');
+            const stsd = stbl && findBox(view, stbl, 'stsd');
+            if (!hdlr || !stsd) continue;
+
+            const handler = fourCC(view, hdlr.payload + 8);
+            const type = handler === 'vide' ? 'video' : handler === 'soun' ? 'audio' : null;
+            if (!type) continue;
+
+            // First sample entry (after version/flags + entry_count)
+            const entry = boxes(view, stsd.payload + 8, stsd.end).next().value;
+            if (!entry) continue;
+            const childStart = entry.payload + (type === 'video' ? VISUAL_SAMPLE_ENTRY_SIZE : AUDIO_SAMPLE_ENTRY_SIZE);
+            const codec = describeSampleEntry(view, entry, childStart);
+            if (codec) codecs.push({ type, codec });
+        }
+    }
+    return codecs;
+}
+
+function describeSampleEntry(view, entry, childStart) {
+    const children = { payload: childStart, end: entry.end };
+    let format = entry.type;
+
+    // Encrypted entries name the real format in sinf/frma
+    if (format === 'encv' || format === 'enca') {
+        const sinf = findBox(view, children, 'sinf');
+        const frma = sinf && findBox(view, sinf, 'frma');
+        if (frma) format = fourCC(view, frma.payload);
+    }
+
+    switch (format) {
+        case 'avc1':
+        case 'avc3': {
+            const avcC = findBox(view, children, 'avcC');
+            if (!avcC) return format;
+            // profile_idc, constraint flags, level_idc
+            return `${format}.${hex2(view.getUint8(avcC.payload + 1))}${hex2(view.getUint8(avcC.payload + 2))}${hex2(view.getUint8(avcC.payload + 3))}`;
+        }
+        case 'hvc1':
+        case 'hev1': {
+            const hvcC = findBox(view, children, 'hvcC');
+            return hvcC ? describeHevc(format, view, hvcC.payload) : format;
+        }
+        case 'mp4a': {
+            const esds = findBox(view, children, 'esds');
+            return esds ? describeMp4a(view, esds) : format;
+        }
+        case 'vp09': {
+            const vpcC = findBox(view, children, 'vpcC');
+            if (!vpcC) return format;
+            const p = vpcC.payload + 4; // After version/flags
+            return `vp09.${dec2(view.getUint8(p))}.${dec2(view.getUint8(p + 1))}.${dec2(view.getUint8(p + 2) >> 4)}`;
+        }
+        case 'av01': {
+            const av1C = findBox(view, children, 'av1C');
+            if (!av1C) return format;
+            const b1 = view.getUint8(av1C.payload + 1);
+            const b2 = view.getUint8(av1C.payload + 2);
+            const bitDepth = (b2 & 0x40) ? ((b2 & 0x20) ? 12 : 10) : 8;
+            return `av01.${b1 >> 5}.${dec2(b1 & 0x1f)}${(b2 & 0x80) ? 'H' : 'M'}.${dec2(bitDepth)}`;
+        }
+        case 'Opus':
+            return 'opus';
+        case 'fLaC':
+            return 'flac';
+        default:
+            return format; // ac-3, ec-3, ... are their own codec strings
+    }
+}
+
+function describeHevc(format, view, p) {
+    const b1 = view.getUint8(p + 1);
+    const profileSpace = ['', 'A', 'B', 'C'][b1 >> 6];
+    const tier = (b1 & 0x20) ? 'H' : 'L';
+    const profileIdc = b1 & 0x1f;
+
+    // Compatibility flags are written bit-reversed
+    const flags = view.getUint32(p + 2);
+    let reversed = 0;
+    for (let i = 0; i < 32; i++) {
+        if (flags & (1 << i)) reversed |= 1 << (31 - i);
+    }
+
+    // Constraint bytes, trailing zero bytes dropped
+    const constraints = [];
+    for (let i = 0; i < 6; i++) constraints.push(view.getUint8(p + 6 + i));
+    while (constraints.length > 0 && constraints[constraints.length - 1] === 0) constraints.pop();
+
+    const level = view.getUint8(p + 12);
+    return [`${format}.${profileSpace}${profileIdc}`, (reversed >>> 0).toString(16), `${tier}${level}`]
+        .concat(constraints.map(c => c.toString(16).toUpperCase()))
+        .join('.');
+}
+
+/**
+ * mp4a.<objectTypeIndication>.<audioObjectType> from the esds descriptors
+ */
+function describeMp4a(view, esds) {
+    let p = esds.payload + 4; // version/flags
+
+    // Descriptor header: tag + 1-4 byte size (high bit = more bytes)
+    const readDescriptor = () => {
+        const tag = view.getUint8(p++);
+        let size = 0;
+        for (let i = 0; i < 4; i++) {
+            const b = view.getUint8(p++);
+            size = (size << 7) | (b & 0x7f);
+            if (!(b & 0x80)) break;
+        }
+        return { tag, size };
+    };
+
+    try {
+        if (readDescriptor().tag !== 0x03) return 'mp4a';
+        p += 2; // ES_ID
+        const flags = view.getUint8(p++);
+        if (flags & 0x80) p += 2; // dependsOn_ES_ID
+        if (flags & 0x40) p += 1 + view.getUint8(p); // URL
+        if (flags & 0x20) p += 2; // OCR_ES_Id
+
+        if (readDescriptor().tag !== 0x04) return 'mp4a';
+        const objectType = view.getUint8(p);
+        p += 13; // objectTypeIndication .. avgBitrate
+
+        if (p >= esds.end || readDescriptor().tag !== 0x05) return `mp4a.${hex2(objectType)}`;
+        let audioObjectType = view.getUint8(p) >> 3;
+        if (audioObjectType === 31) {
+            audioObjectType = 32 + (((view.getUint8(p) & 0x07) << 3) | (view.getUint8(p + 1) >> 5));
+        }
+        return `mp4a.${hex2(objectType)}.${audioObjectType}`;
+    } catch (e) {
+        return 'mp4a'; // Truncated descriptors
+    }
+}
@@ -0,0 +1,451 @@
+/**
+ * FastStream Mobile - DASH Manifest Parser
+ * Used by the background engine's downloader. Service workers have no
+ * DOMParser, so this file carries its own minimal XML parser. Like
+ * hls-playlist.js, keep it free of imports.
+ */
+
+// ============================================================================
+// MINIMAL XML
+// ============================================================================
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeEntities(value) {
+    return value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return XML_ENTITIES[entity] ?? match;
+    });
+}
+
+/**
+ * Parse XML into a tree of { name, attrs, children, text }.
+ * Namespace prefixes are dropped from element names (cenc:pssh -> pssh).
+ * @param {string} text
+ */
+export function parseXml(text) {
+    const root = { name: '#document', attrs: {}, children: [], text: '' };
+    const stack = [root];
+    const tokenRe = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<(\/?)([\w:.-]+)([^>]*?)(\/?)>|([^<]+)/g;
+    const attrRe = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+
+    while ((match = tokenRe.exec(text)) !== null) {
+        const parent = stack[stack.length - 1];
+
+        if (match[1] !== undefined) {
+            parent.text += match[1];
+        } else if (match[6] !== undefined) {
+            parent.text += decodeEntities(match[6]);
+        } else if (match[3] !== undefined) {
+            const name = match[3].split(':').pop();
+
+            if (match[2] === '/') {
+                // Closing tag: pop back to the matching element
+                for (let i = stack.length - 1; i > 0; i--) {
+                    if (stack[i].name === name) {
+                        stack.length = i;
+                        break;
+                    }
+                }
+                continue;
+            }
+
+            const attrs = {};
+            let attr;
+            attrRe.lastIndex = 0;
+            while ((attr = attrRe.exec(match[4])) !== null) {
+                attrs[attr[1]] = decodeEntities(attr[2] ?? attr[3]);
+            }
+
+            const element = { name, attrs, children: [], text: '' };
+            parent.children.push(element);
+            if (match[5] !== '/') stack.push(element);
+        }
+    }
+
+    return root;
+}
+
+function child(element, name) {
+    return element ? element.children.find(c => c.name === name) || null : null;
+}
+
+function children(element, name) {
+    return element ? element.children.filter(c => c.name === name) : [];
+}
+
+// ============================================================================
+// MPD HELPERS
+// ============================================================================
+
+/**
+ * ISO 8601 duration (PT1H2M3.5S, P1DT2H) to seconds
+ */
+export function parseIsoDuration(value) {
+    if (!value) return null;
+    const match = /^P(?:(\d+(?:\.\d+)?)Y)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(value.trim());
+    if (!match) return null;
+    const [, y, mo, d, h, mi, s] = match.map(v => parseFloat(v) || 0);
+    return y * 31536000 + mo * 2592000 + d * 86400 + h * 3600 + mi * 60 + s;
+}
+
+function parseRange(value) {
+    if (!value) return null;
+    const [start, end] = value.split('-').map(n => parseInt(n, 10));
+    return Number.isFinite(start) && Number.isFinite(end) ? { start, end } : null;
+}
+
+function parseFrameRate(value) {
+    const [num, den] = value.split('/').map(Number);
+    return den ? num / den : num;
+}
+
+function resolveBaseUrl(element, baseUrl) {
+    const base = child(element, 'BaseURL');
+    if (!base || !base.text.trim()) return baseUrl;
+    try {
+        return new URL(base.text.trim(), baseUrl).href;
+    } catch (e) {
+        return baseUrl;
+    }
+}
+
+/**
+ * Expand $RepresentationID$, $Number$, $Time$, $Bandwidth$ (with %0Nd widths) and $$
+ */
+export function expandTemplate(template, vars) {
+    return template.replace(/\$(RepresentationID|Number|Time|Bandwidth)(?:%0(\d+)d)?\$|\$\$/g, (match, name, width) => {
+        if (match === '$$') return '$';
+        const value = String(vars[name]);
+        return width ? value.padStart(parseInt(width, 10), '0') : value;
+    });
+}
+
+/**
+ * Merge segment addressing from Period -> AdaptationSet -> Representation.
+ * Lower levels override attributes; the most specific timeline/URL list wins.
+ */
+function mergeSegmentInfo(levels, kind) {
+    let merged = null;
+    for (const level of levels) {
+        const element = child(level, kind);
+        if (!element) continue;
+        merged = {
+            attrs: { ...(merged ? merged.attrs : {}), ...element.attrs },
+            timeline: child(element, 'SegmentTimeline') || (merged ? merged.timeline : null),
+            initialization: child(element, 'Initialization') || (merged ? merged.initialization : null),
+            segmentUrls: children(element, 'SegmentURL').length > 0 ? children(element, 'SegmentURL') : (merged ? merged.segmentUrls : [])
+        };
+    }
+    return merged;
+}
+
+/**
+ * Expand a SegmentTimeline into [{ time, duration }] in timescale units
+ */
+function expandTimeline(timeline, periodEnd, timescale, presentationTimeOffset) {
+    const entries = [];
+    const items = children(timeline, 'S');
+    let time = 0;
+
+    items.forEach((s, i) => {
+        if (s.attrs.t !== undefined) time = parseInt(s.attrs.t, 10);
+        const duration = parseInt(s.attrs.d, 10);
+        let repeat = parseInt(s.attrs.r || '0', 10);
+
+        if (repeat < 0) {
+            // r=-1: repeat until the next S@t or the end of the period
+            const next = items[i + 1];
+            const end = next && next.attrs.t !== undefined
+                ? parseInt(next.attrs.t, 10)
+                : presentationTimeOffset + periodEnd * timescale;
+            repeat = Math.max(0, Math.ceil((end - time) / duration) - 1);
+        }
+
+        for (let r = 0; r <= repeat; r++) {
+            entries.push({ time, duration });
+            time += duration;
+        }
+    });
+
+    return entries;
+}
+
+// ============================================================================
+// MPD PARSER
+// ============================================================================
+
+function contentTypeOf(adaptationSet, representation) {
+    const type = adaptationSet.attrs.contentType ||
+        (adaptationSet.attrs.mimeType || representation.attrs.mimeType || '').split('/')[0];
+    if (type === 'video' || type === 'audio') return type;
+    return 'text';
+}
+
+/**
+ * Build the addressing info for one Representation inside one Period
+ */
+function describePeriodRepresentation(period, adaptationSet, representation, baseUrl, periodStart, periodDuration) {
+    const levels = [period, adaptationSet, representation];
+    const repBaseUrl = resolveBaseUrl(representation, resolveBaseUrl(adaptationSet, resolveBaseUrl(period, baseUrl)));
+    const vars = {
+        RepresentationID: representation.attrs.id,
+        Bandwidth: representation.attrs.bandwidth
+    };
+
+    const template = mergeSegmentInfo(levels, 'SegmentTemplate');
+    if (template) {
+        return { kind: 'template', baseUrl: repBaseUrl, vars, start: periodStart, duration: periodDuration, ...template };
+    }
+
+    const list = mergeSegmentInfo(levels, 'SegmentList');
+    if (list) {
+        return { kind: 'list', baseUrl: repBaseUrl, vars, start: periodStart, duration: periodDuration, ...list };
+    }
+
+    // SegmentBase (or nothing): a single file, indexed by its sidx box
+    const base = mergeSegmentInfo(levels, 'SegmentBase') || { attrs: {}, initialization: null };
+    return {
+        kind: 'base',
+        baseUrl: repBaseUrl,
+        start: periodStart,
+        duration: periodDuration,
+        attrs: base.attrs,
+        initialization: base.initialization,
+        indexRange: parseRange(base.attrs.indexRange)
+    };
+}
+
+/**
+ * Parse an MPD into video and audio representation ladders.
+ * Representations of the same rank (by bandwidth) are chained across Periods,
+ * so each returned entry plays the whole presentation.
+ * @param {string} text
+ * @param {string} manifestUrl
+ */
+export function parseMpd(text, manifestUrl) {
+    const mpd = child(parseXml(text), 'MPD');
+    if (!mpd) throw new Error('Not an MPD manifest');
+
+    const manifest = {
+        type: mpd.attrs.type || 'static',
+        duration: parseIsoDuration(mpd.attrs.mediaPresentationDuration),
+        minBufferTime: parseIsoDuration(mpd.attrs.minBufferTime),
+        video: [],
+        audio: []
+    };
+
+    const baseUrl = resolveBaseUrl(mpd, manifestUrl);
+    const periods = children(mpd, 'Period');
+    let periodStart = 0;
+
+    periods.forEach((period, p) => {
+        periodStart = parseIsoDuration(period.attrs.start) ?? periodStart;
+        const next = periods[p + 1];
+        const periodDuration = parseIsoDuration(period.attrs.duration) ??
+            (next && parseIsoDuration(next.attrs.start) !== null ? parseIsoDuration(next.attrs.start) - periodStart : null) ??
+            (manifest.duration !== null ? manifest.duration - periodStart : 0);
+
+        for (const type of ['video', 'audio']) {
+            // First adaptation set of each type; mixing codecs in one SourceBuffer is not an option
+            const adaptationSet = children(period, 'AdaptationSet').find(as =>
+                children(as, 'Representation').some(rep => contentTypeOf(as, rep) === type));
+            if (!adaptationSet) continue;
+
+            const representations = children(adaptationSet, 'Representation')
+                .map(rep => ({ rep, bandwidth: parseInt(rep.attrs.bandwidth, 10) || 0 }))
+                .sort((a, b) => a.bandwidth - b.bandwidth);
+
+            const ladder = manifest[type];
+            representations.forEach(({ rep, bandwidth }, rank) => {
+                const attrs = { ...adaptationSet.attrs, ...rep.attrs };
+                if (!ladder[rank]) {
+                    const width = parseInt(attrs.width, 10);
+                    const height = parseInt(attrs.height, 10);
+                    ladder[rank] = {
+                        id: attrs.id,
+                        uri: manifestUrl,
+                        bandwidth,
+                        averageBandwidth: null,
+                        resolution: width && height ? { width, height } : null,
+                        codecs: attrs.codecs || null,
+                        mimeType: attrs.mimeType || null,
+                        frameRate: attrs.frameRate ? parseFrameRate(attrs.frameRate) : null,
+                        language: attrs.lang || null,
+                        // A rung new in this period inherits the earlier periods of the rung below
+                        periods: rank > 0 ? ladder[rank - 1].periods.slice(0, -1) : []
+                    };
+                }
+                ladder[rank].periods.push(describePeriodRepresentation(period, adaptationSet, rep, baseUrl, periodStart, periodDuration));
+            });
+
+            // Shorter ladders in this period: reuse their top rung for the missing ranks
+            for (let rank = representations.length; rank < ladder.length; rank++) {
+                const top = ladder[representations.length - 1].periods;
+                ladder[rank].periods.push(top[top.length - 1]);
+            }
+        }
+
+        periodStart += periodDuration || 0;
+    });
+
+    return manifest;
+}
+
+// ============================================================================
+// SEGMENT INDEX
+// ============================================================================
+
+/**
+ * Segments of one Period of a representation, in the same shape as
+ * parseMediaPlaylist() segments (plus byte ranges, init and timestampOffset).
+ * Returns null for SegmentBase periods: those need their sidx fetched first
+ * (see parseSidx).
+ * @param {Object} period - Entry of representation.periods
+ */
+export function buildPeriodSegments(period) {
+    if (period.kind === 'base') return null;
+
+    const attrs = period.attrs;
+    const timescale = parseInt(attrs.timescale || '1', 10);
+    const pto = parseInt(attrs.presentationTimeOffset || '0', 10);
+    const startNumber = parseInt(attrs.startNumber || '1', 10);
+    const timestampOffset = period.start - pto / timescale;
+    const segments = [];
+
+    let init = null;
+    if (period.kind === 'template' && attrs.initialization) {
+        init = { uri: new URL(expandTemplate(attrs.initialization, period.vars), period.baseUrl).href, rangeStart: null, rangeEnd: null };
+    } else if (period.initialization) {
+        const range = parseRange(period.initialization.attrs.range);
+        init = {
+            uri: new URL(period.initialization.attrs.sourceURL || '', period.baseUrl).href,
+            rangeStart: range ? range.start : null,
+            rangeEnd: range ? range.end : null
+        };
+    }
+
+    // Timing: explicit timeline, or fixed @duration
+    let timing;
+    if (period.timeline) {
+        timing = expandTimeline(period.timeline, period.duration, timescale, pto);
+    } else if (attrs.duration) {
+        const duration = parseInt(attrs.duration, 10);
+        const count = period.kind === 'list'
+            ? period.segmentUrls.length
+            : Math.ceil((period.duration * timescale) / duration);
+        timing = Array.from({ length: count }, (_, i) => ({ time: pto + i * duration, duration }));
+    } else {
+        timing = period.segmentUrls.map(() => ({ time: pto, duration: period.duration * timescale }));
+    }
+
+    timing.forEach(({ time, duration }, i) => {
+        let uri;
+        let range = null;
+        if (period.kind === 'template') {
+            uri = expandTemplate(attrs.media, { ...period.vars, Number: startNumber + i, Time: time });
+        } else {
+            const segmentUrl = period.segmentUrls[i];
+            if (!segmentUrl) return;
+            uri = segmentUrl.attrs.media || '';
+            range = parseRange(segmentUrl.attrs.mediaRange);
+        }
+
+        segments.push({
+            uri: new URL(uri, period.baseUrl).href,
+            rangeStart: range ? range.start : null,
+            rangeEnd: range ? range.end : null,
+            duration: duration / timescale,
+            start: timestampOffset + time / timescale,
+            init,
+            timestampOffset
+        });
+    });
+
+    return segments;
+}
+
+/**
+ * Turn a SegmentBase period's sidx box into segments.
+ * @param {ArrayBuffer} buffer - Bytes of period.indexRange
+ * @param {Object} period - Entry of representation.periods (kind 'base')
+ */
+export function parseSidx(buffer, period) {
+    const view = new DataView(buffer);
+    let offset = 0;
+
+    // Find the sidx box (indexRange may include a leading styp)
+    while (offset + 8 <= view.byteLength) {
+        const size = view.getUint32(offset);
+        const type = String.fromCharCode(view.getUint8(offset + 4), view.getUint8(offset + 5), view.getUint8(offset + 6), view.getUint8(offset + 7));
+        if (type === 'sidx') break;
+        if (size < 8) return [];
+        offset += size;
+    }
+    if (offset + 8 > view.byteLength) return [];
+
+    const boxStart = offset;
+    const boxSize = view.getUint32(offset);
+    const version = view.getUint8(offset + 8);
+    offset += 12; // size, type, version+flags
+    offset += 4; // reference_ID
+    const timescale = view.getUint32(offset);
+    offset += 4;
+
+    let earliest;
+    let firstOffset;
+    if (version === 0) {
+        earliest = view.getUint32(offset);
+        firstOffset = view.getUint32(offset + 4);
+        offset += 8;
+    } else {
+        earliest = Number(view.getBigUint64(offset));
+        firstOffset = Number(view.getBigUint64(offset + 8));
+        offset += 16;
+    }
+    offset += 2; // reserved
+    const count = view.getUint16(offset);
+    offset += 2;
+
+    const pto = parseInt(period.attrs.presentationTimeOffset || '0', 10);
+    const timestampOffset = period.start - pto / timescale;
+    const initRange = period.initialization ? parseRange(period.initialization.attrs.range) : null;
+    const init = initRange
+        ? { uri: period.baseUrl, rangeStart: initRange.start, rangeEnd: initRange.end }
+        : { uri: period.baseUrl, rangeStart: 0, rangeEnd: period.indexRange.start - 1 };
+
+    // Referenced byte offsets count from the first byte after the sidx box
+    let byteOffset = period.indexRange.start + (boxStart + boxSize) + firstOffset;
+    let time = earliest;
+    const segments = [];
+
+    for (let i = 0; i < count; i++) {
+        const reference = view.getUint32(offset);
+        const duration = view.getUint32(offset + 4);
+        offset += 12;
+
+        const size = reference & 0x7fffffff;
+        if (reference >>> 31) {
+            console.warn('[DASH] Hierarchical sidx references are not supported');
+            return segments;
+        }
+
+        segments.push({
+            uri: period.baseUrl,
+            rangeStart: byteOffset,
+            rangeEnd: byteOffset + size - 1,
+            duration: duration / timescale,
+            start: timestampOffset + time / timescale,
+            init,
+            timestampOffset
+        });
+        byteOffset += size;
+        time += duration;
+    }
+
+    return segments;
+}
@@ -0,0 +1,279 @@
+/**
+ * FastStream Mobile - HLS Playlist Parser
+ * Shared by the background engine (ES module import) and the in-page player
+ * (inlined by the sniffer, see PAGE_LIBS in content/sniffer.js).
+ * Keep this file free of imports so it can run in both contexts.
+ */
+
+/**
+ * Resolve a (possibly relative) playlist URI against the playlist it came from
+ * @param {string} uri
+ * @param {string} baseUrl
+ */
+export function resolveUrl(uri, baseUrl) {
+    try {
+        return new URL(uri, baseUrl).href;
+    } catch (e) {
+        return uri;
+    }
+}
+
+/**
+ * Parse an HLS attribute list: KEY=VALUE,KEY="quoted,value",...
+ * @param {string} input - Everything after the tag's colon
+ * @returns {Object<string, string>}
+ */
+export function parseAttributeList(input) {
+    const attrs = {};
+    const re = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+    let match;
+    while ((match = re.exec(input)) !== null) {
+        let value = match[2];
+        if (value.startsWith('"')) value = value.slice(1, -1);
+        attrs[match[1]] = value;
+    }
+    return attrs;
+}
+
+/**
+ * Parse a BYTERANGE value "length[@offset]" into inclusive byte positions.
+ * Without an offset the range starts where `previousEnd` (exclusive) left off.
+ * @returns {{rangeStart: number, rangeEnd: number}}
+ */
+export function parseByteRange(value, previousEnd = 0) {
+    const [length, offset] = value.split('@').map(n => parseInt(n, 10));
+    const rangeStart = Number.isFinite(offset) ? offset : previousEnd;
+    return { rangeStart, rangeEnd: rangeStart + length - 1 };
+}
+
+export function isMasterPlaylist(text) {
+    return text.includes('#EXT-X-STREAM-INF');
+}
+
+function parseResolution(value) {
+    if (!value) return null;
+    const [width, height] = value.split('x').map(n => parseInt(n, 10));
+    if (!width || !height) return null;
+    return { width, height };
+}
+
+function toNumber(value) {
+    if (value === undefined || value === '') return null;
+    const n = Number(value);
+    return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Parse a master playlist into its variants and alternate renditions.
+ * Variants are returned sorted by ascending bandwidth (the order ABR expects).
+ * @param {string} text
+ * @param {string} playlistUrl - Used to resolve relative variant URIs
+ */
+export function parseMasterPlaylist(text, playlistUrl) {
+    const lines = text.split('\n').map(l => l.trim());
+    const variants = [];
+    const renditions = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        if (line.startsWith('#EXT-X-STREAM-INF:')) {
+            const attrs = parseAttributeList(line.substring('#EXT-X-STREAM-INF:'.length));
+
+            // The URI is the next non-empty, non-comment line
+            let uri = null;
+            for (let j = i + 1; j < lines.length; j++) {
+                if (lines[j] && !lines[j].startsWith('#')) {
+                    uri = lines[j];
+                    i = j;
+                    break;
+                }
+            }
+            if (!uri) continue;
+
+            variants.push({
+                uri: resolveUrl(uri, playlistUrl),
+                bandwidth: toNumber(attrs['BANDWIDTH']) || 0,
+                averageBandwidth: toNumber(attrs['AVERAGE-BANDWIDTH']),
+                resolution: parseResolution(attrs['RESOLUTION']),
+                codecs: attrs['CODECS'] || null,
+                frameRate: toNumber(attrs['FRAME-RATE']),
+                hdcpLevel: attrs['HDCP-LEVEL'] || null,
+                audio: attrs['AUDIO'] || null,
+                subtitles: attrs['SUBTITLES'] || null
+            });
+        } else if (line.startsWith('#EXT-X-MEDIA:')) {
+            const attrs = parseAttributeList(line.substring('#EXT-X-MEDIA:'.length));
+            renditions.push({
+                type: attrs['TYPE'] || null,
+                groupId: attrs['GROUP-ID'] || null,
+                name: attrs['NAME'] || null,
+                language: attrs['LANGUAGE'] || null,
+                isDefault: attrs['DEFAULT'] === 'YES',
+                uri: attrs['URI'] ? resolveUrl(attrs['URI'], playlistUrl) : null
+            });
+        }
+    }
+
+    variants.sort((a, b) => a.bandwidth - b.bandwidth);
+    return { variants, renditions };
+}
+
+/**
+ * Parse a media playlist into its segment list.
+ * Each segment carries its start time (sum of the preceding #EXTINF durations),
+ * which doubles as the time -> segment index used for seeking, the
+ * #EXT-X-KEY in effect for it (`key`, null when unencrypted), its
+ * #EXT-X-MAP init segment (`init`, null for MPEG-TS) and its
+ * #EXT-X-BYTERANGE (`rangeStart`/`rangeEnd`, inclusive; null for whole files).
+ * @param {string} text
+ * @param {string} playlistUrl - Used to resolve relative segment URIs
+ */
+export function parseMediaPlaylist(text, playlistUrl) {
+    const lines = text.split('\n').map(l => l.trim());
+    const playlist = {
+        mediaSequence: 0,
+        targetDuration: 0,
+        endList: false,
+        playlistType: null, // 'VOD' | 'EVENT' | null (live sliding window)
+        duration: 0,
+        segments: []
+    };
+
+    let duration = null;
+    let sequence = null;
+    let start = 0;
+    let discontinuity = false;
+    let key = null;
+    let map = null;
+    let byteRange = null;
+    let nextRangeStart = 0; // BYTERANGE without @offset continues the previous sub-range
+
+    for (const line of lines) {
+        if (!line) continue;
+
+        if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+            playlist.mediaSequence = parseInt(line.split(':')[1], 10) || 0;
+        } else if (line.startsWith('#EXT-X-TARGETDURATION:')) {
+            playlist.targetDuration = parseFloat(line.split(':')[1]) || 0;
+        } else if (line.startsWith('#EXT-X-PLAYLIST-TYPE:')) {
+            playlist.playlistType = line.split(':')[1];
+        } else if (line === '#EXT-X-ENDLIST') {
+            playlist.endList = true;
+        } else if (line === '#EXT-X-DISCONTINUITY') {
+            discontinuity = true;
+        } else if (line.startsWith('#EXT-X-KEY:')) {
+            const attrs = parseAttributeList(line.substring('#EXT-X-KEY:'.length));
+            // Only the identity key format is ours to fetch; DRM systems list their own
+            const keyFormat = attrs['KEYFORMAT'] || 'identity';
+            if (attrs['METHOD'] === 'NONE') {
+                key = null;
+            } else if (keyFormat === 'identity') {
+                key = {
+                    method: attrs['METHOD'],
+                    uri: attrs['URI'] ? resolveUrl(attrs['URI'], playlistUrl) : null,
+                    iv: attrs['IV'] || null
+                };
+            }
+        } else if (line.startsWith('#EXT-X-MAP:')) {
+            const attrs = parseAttributeList(line.substring('#EXT-X-MAP:'.length));
+            const range = attrs['BYTERANGE'] ? parseByteRange(attrs['BYTERANGE']) : { rangeStart: null, rangeEnd: null };
+            map = {
+                uri: resolveUrl(attrs['URI'], playlistUrl),
+                ...range,
+                key // An encrypted init segment uses the key in effect at the tag
+            };
+        } else if (line.startsWith('#EXT-X-BYTERANGE:')) {
+            byteRange = parseByteRange(line.substring('#EXT-X-BYTERANGE:'.length), nextRangeStart);
+        } else if (line.startsWith('#EXTINF:')) {
+            duration = parseFloat(line.substring('#EXTINF:'.length)) || 0;
+        } else if (!line.startsWith('#') && duration !== null) {
+            if (sequence === null) sequence = playlist.mediaSequence;
+            playlist.segments.push({
+                uri: resolveUrl(line, playlistUrl),
+                duration,
+                start,
+                sequence: sequence++,
+                discontinuity,
+                key,
+                init: map,
+                rangeStart: byteRange ? byteRange.rangeStart : null,
+                rangeEnd: byteRange ? byteRange.rangeEnd : null
+            });
+            start += duration;
+            duration = null;
+            discontinuity = false;
+            if (byteRange) nextRangeStart = byteRange.rangeEnd + 1;
+            byteRange = null;
+        }
+    }
+
+    playlist.duration = start;
+    return playlist;
+}
+
+/**
+ * Live and EVENT playlists have no #EXT-X-ENDLIST yet and must be reloaded
+ */
+export function isLivePlaylist(playlist) {
+    return !playlist.endList;
+}
+
+/**
+ * Find the segment playing at `time` seconds (binary search over segment starts).
+ * Times past the end clamp to the last segment.
+ * @param {Object} playlist - parseMediaPlaylist output
+ * @param {number} time
+ */
+export function findSegmentByTime(playlist, time) {
+    const segments = playlist.segments;
+    if (segments.length === 0) return null;
+
+    let lo = 0;
+    let hi = segments.length - 1;
+    while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (segments[mid].start <= time) lo = mid;
+        else hi = mid - 1;
+    }
+    return segments[lo];
+}
+
+/**
+ * Pick a variant index according to a selection policy.
+ * Expects variants sorted by ascending bandwidth (parseMasterPlaylist output).
+ * @param {Array} variants
+ * @param {Object} policy
+ * @param {'auto'|'highest'|'lowest'} [policy.mode='auto']
+ * @param {number} [policy.maxHeight] - Auto mode: ignore variants taller than this
+ * @param {number} [policy.maxBandwidth] - Auto mode: ignore variants above this (bps)
+ * @returns {number} Index into variants, or -1 if the list is empty
+ */
+export function selectVariant(variants, policy = {}) {
+    if (!variants || variants.length === 0) return -1;
+
+    const mode = policy.mode || 'auto';
+    if (mode === 'lowest') return 0;
+    if (mode === 'highest') return variants.length - 1;
+
+    // Auto: best variant that fits the device/data caps, else the lowest one
+    let selected = 0;
+    variants.forEach((v, i) => {
+        const bw = v.averageBandwidth || v.bandwidth;
+        if (policy.maxBandwidth && bw > policy.maxBandwidth) return;
+        if (policy.maxHeight && v.resolution && v.resolution.height > policy.maxHeight) return;
+        selected = i;
+    });
+    return selected;
+}
+
+/**
+ * Human readable label for a variant, e.g. "720p · 2.5 Mbps"
+ */
+export function describeVariant(variant) {
+    if (!variant) return '';
+    const parts = [];
+    if (variant.resolution) parts.push(`${variant.resolution.height}p`);
+    if (variant.bandwidth) parts.push(`${(variant.bandwidth / 1000000).toFixed(1)} Mbps`);
+    return parts.join(' · ') || 'Unknown';
+}
@@ -0,0 +1,503 @@
+/**
+ * FastStream Mobile - Progressive MP4 Remuxer
+ * MSE only takes fragmented MP4. A regular MP4's moov indexes every sample,
+ * so the downloader fetches samples by byte range and this file rewraps them:
+ * one init segment (the moov with empty sample tables + mvex) and a moof/mdat
+ * fragment per keyframe interval. Used by the background downloader; like
+ * dash-manifest.js, keep it free of imports.
+ */
+
+// Interleaved sample runs closer than this are fetched as one range
+const RANGE_MERGE_GAP = 64 * 1024;
+
+const SAMPLE_FLAGS_SYNC = 0x02000000; // sample_depends_on = 2 (no other sample)
+const SAMPLE_FLAGS_NON_SYNC = 0x01010000; // sample_depends_on = 1, sample_is_non_sync_sample
+
+function fourCC(view, offset) {
+    return String.fromCharCode(
+        view.getUint8(offset), view.getUint8(offset + 1),
+        view.getUint8(offset + 2), view.getUint8(offset + 3)
+    );
+}
+
+function viewOf(bytes) {
+    return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+function* boxes(view, start, end) {
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = view.getUint32(offset);
+        let headerSize = 8;
+        if (size === 1) {
+            size = Number(view.getBigUint64(offset + 8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < headerSize || offset + size > end) return;
+
+        yield { type: fourCC(view, offset + 4), start: offset, payload: offset + headerSize, end: offset + size };
+        offset += size;
+    }
+}
+
+function findBox(view, parent, type) {
+    for (const box of boxes(view, parent.payload, parent.end)) {
+        if (box.type === type) return box;
+    }
+    return null;
+}
+
+function findPath(view, parent, path) {
+    let box = parent;
+    for (const type of path) {
+        box = box && findBox(view, box, type);
+    }
+    return box;
+}
+
+/**
+ * Top-level boxes whose header lies in `bytes` (the file's bytes from
+ * `fileOffset` on). Lets the caller find the moov without reading the mdat.
+ * @returns {Array<{type: string, start: number, size: number|null}>} Absolute
+ *   offsets; size null for a last box that runs to the end of the file
+ */
+export function scanTopLevelBoxes(bytes, fileOffset = 0) {
+    const view = viewOf(bytes);
+    const found = [];
+    let offset = 0;
+    while (offset + 8 <= bytes.byteLength) {
+        let size = view.getUint32(offset);
+        if (size === 1) {
+            if (offset + 16 > bytes.byteLength) break;
+            size = Number(view.getBigUint64(offset + 8));
+        }
+        const type = fourCC(view, offset + 4);
+        if (size === 0) {
+            found.push({ type, start: fileOffset + offset, size: null });
+            break;
+        }
+        if (size < 8) break; // Not a box: corrupt file or not MP4 at all
+        found.push({ type, start: fileOffset + offset, size });
+        offset += size;
+    }
+    return found;
+}
+
+/**
+ * Movie duration in seconds from mvhd. `moovBytes` may be just the start of
+ * the moov, as long as it covers mvhd (normally its first child).
+ * @returns {number|null}
+ */
+export function readMovieDuration(moovBytes) {
+    const view = viewOf(moovBytes);
+    const header = view.getUint32(0) === 1 ? 16 : 8;
+    let offset = header;
+    // Walk children by header only: later ones may be cut off
+    while (offset + 8 <= moovBytes.byteLength) {
+        const size = view.getUint32(offset);
+        if (fourCC(view, offset + 4) === 'mvhd') {
+            const p = offset + 8;
+            if (p + 32 > moovBytes.byteLength) return null;
+            return view.getUint8(p) === 1
+                ? Number(view.getBigUint64(p + 24)) / view.getUint32(p + 20)
+                : view.getUint32(p + 16) / view.getUint32(p + 12);
+        }
+        if (size < 8) return null;
+        offset += size;
+    }
+    return null;
+}
+
+/**
+ * Index a complete moov: movie timescale/duration and, for the first video and
+ * first audio track, every sample's file offset, size, decode time,
+ * composition offset and sync flag
+ * @param {Uint8Array} moovBytes
+ */
+export function parseMoov(moovBytes) {
+    const view = viewOf(moovBytes);
+    const moov = boxes(view, 0, moovBytes.byteLength).next().value;
+    if (!moov || moov.type !== 'moov') throw new Error('Not a moov box');
+
+    const mvhd = findBox(view, moov, 'mvhd');
+    if (!mvhd) throw new Error('moov without mvhd');
+    const v1 = view.getUint8(mvhd.payload) === 1;
+    const timescale = view.getUint32(mvhd.payload + (v1 ? 20 : 12));
+    const duration = v1 ? Number(view.getBigUint64(mvhd.payload + 24)) : view.getUint32(mvhd.payload + 16);
+
+    const tracks = [];
+    for (const trak of boxes(view, moov.payload, moov.end)) {
+        if (trak.type !== 'trak') continue;
+        const track = parseTrak(view, trak, timescale);
+        if (track && !tracks.some(t => t.type === track.type)) tracks.push(track);
+    }
+    if (tracks.length === 0) throw new Error('No audio or video track');
+
+    return { timescale, duration: duration / timescale, mvhd: moovBytes.subarray(mvhd.start, mvhd.end), tracks };
+}
+
+function parseTrak(view, trak, movieTimescale) {
+    const tkhd = findBox(view, trak, 'tkhd');
+    const mdia = findBox(view, trak, 'mdia');
+    const mdhd = mdia && findBox(view, mdia, 'mdhd');
+    const hdlr = mdia && findBox(view, mdia, 'hdlr');
+    const stbl = mdia && findPath(view, mdia, ['minf', 'stbl']);
+    if (!tkhd || !mdhd || !hdlr || !stbl) return null;
+
+    const handler = fourCC(view, hdlr.payload + 8);
+    const type = handler === 'vide' ? 'video' : handler === 'soun' ? 'audio' : null;
+    if (!type) return null;
+
+    const tkhdV1 = view.getUint8(tkhd.payload) === 1;
+    const mdhdV1 = view.getUint8(mdhd.payload) === 1;
+    const timescale = view.getUint32(mdhd.payload + (mdhdV1 ? 20 : 12));
+    const mediaDuration = mdhdV1 ? Number(view.getBigUint64(mdhd.payload + 24)) : view.getUint32(mdhd.payload + 16);
+
+    const track = {
+        id: view.getUint32(tkhd.payload + (tkhdV1 ? 20 : 12)),
+        type,
+        timescale,
+        duration: mediaDuration,
+        // Edit list start: presentation time 0 is this media time (B-frame delay, AAC priming)
+        shift: readEditShift(view, trak),
+        box: trak,
+        samples: readSampleTable(view, stbl)
+    };
+    if (type === 'video') {
+        // Fixed 16.16 width and height end the tkhd
+        track.width = view.getUint32(tkhd.end - 8) >>> 16;
+        track.height = view.getUint32(tkhd.end - 4) >>> 16;
+    }
+    return track;
+}
+
+function readEditShift(view, trak) {
+    const elst = findPath(view, trak, ['edts', 'elst']);
+    if (!elst) return 0;
+    const v1 = view.getUint8(elst.payload) === 1;
+    const count = view.getUint32(elst.payload + 4);
+    let p = elst.payload + 8;
+    for (let i = 0; i < count; i++) {
+        const mediaTime = v1 ? Number(view.getBigInt64(p + 8)) : view.getInt32(p + 4);
+        if (mediaTime >= 0) return mediaTime; // Skip empty edits (-1)
+        p += v1 ? 20 : 12;
+    }
+    return 0;
+}
+
+function readSampleTable(view, stbl) {
+    const box = type => findBox(view, stbl, type);
+
+    // Sizes (stsz or the compact stz2)
+    let sizes;
+    const stsz = box('stsz');
+    const stz2 = box('stz2');
+    if (stsz) {
+        const fixed = view.getUint32(stsz.payload + 4);
+        const count = view.getUint32(stsz.payload + 8);
+        sizes = new Uint32Array(count);
+        for (let i = 0; i < count; i++) {
+            sizes[i] = fixed || view.getUint32(stsz.payload + 12 + i * 4);
+        }
+    } else if (stz2) {
+        const fieldSize = view.getUint8(stz2.payload + 7);
+        const count = view.getUint32(stz2.payload + 8);
+        sizes = new Uint32Array(count);
+        for (let i = 0; i < count; i++) {
+            const p = stz2.payload + 12;
+            if (fieldSize === 4) {
+                const b = view.getUint8(p + (i >> 1));
+                sizes[i] = i & 1 ? b & 0x0f : b >> 4;
+            } else {
+                sizes[i] = fieldSize === 8 ? view.getUint8(p + i) : view.getUint16(p + i * 2);
+            }
+        }
+    } else {
+        throw new Error('Sample table without sizes');
+    }
+    const count = sizes.length;
+
+    // Offsets: chunk offsets (stco/co64) + samples-per-chunk runs (stsc)
+    const stco = box('stco');
+    const co64 = box('co64');
+    const chunkTable = stco || co64;
+    const stsc = box('stsc');
+    if (!chunkTable || !stsc) throw new Error('Sample table without chunk offsets');
+    const chunkCount = view.getUint32(chunkTable.payload + 4);
+    const chunkOffset = i => co64
+        ? Number(view.getBigUint64(co64.payload + 8 + i * 8))
+        : view.getUint32(stco.payload + 8 + i * 4);
+
+    const offsets = new Float64Array(count);
+    const runs = view.getUint32(stsc.payload + 4);
+    let sample = 0;
+    for (let r = 0; r < runs && sample < count; r++) {
+        const p = stsc.payload + 8 + r * 12;
+        const firstChunk = view.getUint32(p) - 1;
+        const perChunk = view.getUint32(p + 4);
+        const lastChunk = r + 1 < runs ? view.getUint32(p + 12) - 1 : chunkCount;
+        for (let chunk = firstChunk; chunk < lastChunk && sample < count; chunk++) {
+            let offset = chunkOffset(chunk);
+            for (let i = 0; i < perChunk && sample < count; i++) {
+                offsets[sample] = offset;
+                offset += sizes[sample++];
+            }
+        }
+    }
+
+    // Decode times (stts)
+    const dts = new Float64Array(count + 1); // dts[count] = end of the last sample
+    const stts = box('stts');
+    if (!stts) throw new Error('Sample table without decode times');
+    let time = 0;
+    sample = 0;
+    const sttsEntries = view.getUint32(stts.payload + 4);
+    for (let e = 0; e < sttsEntries; e++) {
+        const n = view.getUint32(stts.payload + 8 + e * 8);
+        const delta = view.getUint32(stts.payload + 12 + e * 8);
+        for (let i = 0; i < n && sample < count; i++) {
+            dts[sample++] = time;
+            time += delta;
+        }
+    }
+    for (; sample <= count; sample++) dts[sample] = time;
+
+    // Composition offsets (ctts, read signed: version 0 writers use negative values too)
+    const cts = new Int32Array(count);
+    const ctts = box('ctts');
+    if (ctts) {
+        sample = 0;
+        const entries = view.getUint32(ctts.payload + 4);
+        for (let e = 0; e < entries; e++) {
+            const n = view.getUint32(ctts.payload + 8 + e * 8);
+            const offset = view.getInt32(ctts.payload + 12 + e * 8);
+            for (let i = 0; i < n && sample < count; i++) cts[sample++] = offset;
+        }
+    }
+
+    // Sync samples (stss); without one, every sample is a sync sample
+    let sync = null;
+    const stss = box('stss');
+    if (stss) {
+        sync = new Uint8Array(count);
+        const entries = view.getUint32(stss.payload + 4);
+        for (let e = 0; e < entries; e++) {
+            const number = view.getUint32(stss.payload + 8 + e * 4);
+            if (number >= 1 && number <= count) sync[number - 1] = 1;
+        }
+    }
+
+    return { count, offsets, sizes, dts, cts, sync };
+}
+
+// ============================================================================
+// FRAGMENT PLAN
+// ============================================================================
+
+/**
+ * Cut the movie into fragments that start on a video sync sample and last at
+ * least `targetDuration` seconds. Each fragment lists its samples per track
+ * and the byte ranges (inclusive) holding them.
+ * @returns {Array<{start: number, duration: number, samples: Array<[number, number]>, ranges: Array<[number, number]>}>}
+ *   samples[i] = [first, end) sample indexes of index.tracks[i]
+ */
+export function planFragments(index, targetDuration) {
+    const reference = index.tracks.find(t => t.type === 'video') || index.tracks[0];
+    const refSamples = reference.samples;
+    const seconds = (track, i) => track.samples.dts[i] / track.timescale;
+
+    // Boundaries on the reference track
+    const boundaries = [0];
+    for (let i = 1; i < refSamples.count; i++) {
+        const isSync = !refSamples.sync || refSamples.sync[i];
+        if (isSync && seconds(reference, i) - seconds(reference, boundaries[boundaries.length - 1]) >= targetDuration) {
+            boundaries.push(i);
+        }
+    }
+
+    const cursors = index.tracks.map(() => 0);
+    return boundaries.map((first, k) => {
+        const last = k + 1 < boundaries.length ? boundaries[k + 1] : refSamples.count;
+        const endTime = last < refSamples.count ? seconds(reference, last) : Infinity;
+
+        // Other tracks: the samples decoded before the next boundary
+        const samples = index.tracks.map((track, t) => {
+            if (track === reference) return [first, last];
+            const from = cursors[t];
+            let to = from;
+            while (to < track.samples.count && seconds(track, to) < endTime) to++;
+            cursors[t] = to;
+            return [from, to];
+        });
+
+        const start = k === 0 ? 0 : presentationTime(reference, first);
+        const end = last < refSamples.count ? presentationTime(reference, last) : index.duration;
+        return { start, duration: Math.max(0, end - start), samples, ranges: sampleRanges(index, samples) };
+    });
+}
+
+function presentationTime(track, i) {
+    const s = track.samples;
+    return Math.max(0, (s.dts[i] + s.cts[i] - track.shift) / track.timescale);
+}
+
+function sampleRanges(index, samples) {
+    const spans = [];
+    index.tracks.forEach((track, t) => {
+        const [from, to] = samples[t];
+        for (let i = from; i < to; i++) {
+            spans.push([track.samples.offsets[i], track.samples.offsets[i] + track.samples.sizes[i]]);
+        }
+    });
+    spans.sort((a, b) => a[0] - b[0]);
+
+    const ranges = [];
+    for (const [start, end] of spans) {
+        const last = ranges[ranges.length - 1];
+        if (last && start - last[1] <= RANGE_MERGE_GAP) {
+            last[1] = Math.max(last[1], end);
+        } else {
+            ranges.push([start, end]);
+        }
+    }
+    return ranges.map(([start, end]) => [start, end - 1]);
+}
+
+// ============================================================================
+// BOX WRITING
+// ============================================================================
+
+function concat(parts) {
+    const size = parts.reduce((sum, part) => sum + part.byteLength, 0);
+    const out = new Uint8Array(size);
+    let offset = 0;
+    for (const part of parts) {
+        out.set(part, offset);
+        offset += part.byteLength;
+    }
+    return out;
+}
+
+function box(type, ...parts) {
+    const payload = concat(parts);
+    const out = new Uint8Array(8 + payload.byteLength);
+    const view = viewOf(out);
+    view.setUint32(0, out.byteLength);
+    for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+    out.set(payload, 8);
+    return out;
+}
+
+function fullBox(type, version, flags, payload = new Uint8Array(0)) {
+    const header = new Uint8Array(4);
+    viewOf(header).setUint32(0, (version << 24) | flags);
+    return box(type, header, payload);
+}
+
+function uint32s(...values) {
+    const out = new Uint8Array(values.length * 4);
+    const view = viewOf(out);
+    values.forEach((value, i) => view.setUint32(i * 4, value));
+    return out;
+}
+
+/**
+ * Init segment: ftyp + moov whose traks keep their sample descriptions but
+ * carry no samples, plus the mvex that declares the movie fragmented
+ * @param {Uint8Array} moovBytes - The bytes parseMoov() indexed
+ */
+export function buildInitSegment(index, moovBytes) {
+    const view = viewOf(moovBytes);
+    const copy = b => moovBytes.subarray(b.start, b.end);
+
+    const traks = index.tracks.map(track => {
+        const mdia = findBox(view, track.box, 'mdia');
+        const minf = findBox(view, mdia, 'minf');
+        const stbl = findBox(view, minf, 'stbl');
+
+        const newStbl = box('stbl',
+            copy(findBox(view, stbl, 'stsd')),
+            fullBox('stts', 0, 0, uint32s(0)),
+            fullBox('stsc', 0, 0, uint32s(0)),
+            fullBox('stsz', 0, 0, uint32s(0, 0)),
+            fullBox('stco', 0, 0, uint32s(0)));
+        const minfChildren = [...boxes(view, minf.payload, minf.end)]
+            .map(child => child.type === 'stbl' ? newStbl : copy(child));
+        const mdiaChildren = [...boxes(view, mdia.payload, mdia.end)]
+            .map(child => child.type === 'minf' ? box('minf', ...minfChildren) : copy(child));
+
+        // Edit lists are applied to the composition offsets instead (see buildFragment)
+        return box('trak', copy(findBox(view, track.box, 'tkhd')), box('mdia', ...mdiaChildren));
+    });
+
+    const mvex = box('mvex', ...index.tracks.map(track =>
+        fullBox('trex', 0, 0, uint32s(track.id, 1, 0, 0, 0))));
+
+    const ftyp = box('ftyp', new TextEncoder().encode('iso5'), uint32s(512), new TextEncoder().encode('iso5iso6mp41'));
+    return concat([ftyp, box('moov', index.mvhd, ...traks, mvex)]);
+}
+
+/**
+ * One moof + mdat for a planFragments() entry
+ * @param {Uint8Array} data - The fragment's byte ranges, fetched and concatenated in order
+ * @param {number} sequenceNumber - mfhd sequence number (fragment index + 1)
+ */
+export function buildFragment(index, fragment, data, sequenceNumber) {
+    // Where each range's bytes sit in `data`
+    const bases = [];
+    let base = 0;
+    for (const [start, end] of fragment.ranges) {
+        bases.push(base);
+        base += end - start + 1;
+    }
+    const locate = (offset) => {
+        for (let r = 0; r < fragment.ranges.length; r++) {
+            const [start, end] = fragment.ranges[r];
+            if (offset >= start && offset <= end) return bases[r] + offset - start;
+        }
+        throw new Error(`Sample at ${offset} is outside the fetched ranges`);
+    };
+
+    const trackList = index.tracks
+        .map((track, t) => ({ track, from: fragment.samples[t][0], to: fragment.samples[t][1] }))
+        .filter(({ from, to }) => to > from);
+
+    // moof size is fixed by the sample counts: mfhd 16, traf = 8 + tfhd 16 + tfdt 20 + trun 20 + 16/sample
+    const moofSize = 8 + 16 + trackList.reduce((sum, { from, to }) => sum + 8 + 16 + 20 + 20 + 16 * (to - from), 0);
+
+    const trafs = [];
+    const payloads = [];
+    let dataOffset = moofSize + 8; // Past the mdat header
+    for (const { track, from, to } of trackList) {
+        const s = track.samples;
+        const trun = new Uint8Array(8 + 16 * (to - from));
+        const view = viewOf(trun);
+        view.setUint32(0, to - from);
+        view.setInt32(4, dataOffset);
+
+        for (let i = from; i < to; i++) {
+            const p = 8 + (i - from) * 16;
+            view.setUint32(p, s.dts[i + 1] - s.dts[i]);
+            view.setUint32(p + 4, s.sizes[i]);
+            view.setUint32(p + 8, !s.sync || s.sync[i] ? SAMPLE_FLAGS_SYNC : SAMPLE_FLAGS_NON_SYNC);
+            view.setInt32(p + 12, s.cts[i] - track.shift);
+
+            const at = locate(s.offsets[i]);
+            payloads.push(data.subarray(at, at + s.sizes[i]));
+            dataOffset += s.sizes[i];
+        }
+
+        const tfdt = new Uint8Array(8);
+        viewOf(tfdt).setBigUint64(0, BigInt(s.dts[from]));
+        trafs.push(box('traf',
+            fullBox('tfhd', 0, 0x020000, uint32s(track.id)), // default-base-is-moof
+            fullBox('tfdt', 1, 0, tfdt),
+            // v1: signed composition offsets; data offset, duration, size, flags, cts offset
+            fullBox('trun', 1, 0x000001 | 0x000100 | 0x000200 | 0x000400 | 0x000800, trun)));
+    }
+
+    const moof = box('moof', fullBox('mfhd', 0, 0, uint32s(sequenceNumber)), ...trafs);
+    return concat([moof, box('mdat', ...payloads)]);
+}
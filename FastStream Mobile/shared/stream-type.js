@@ -0,0 +1,122 @@
+/**
+ * FastStream Mobile - Stream Type Detection
+ * Classifies manifests by URL path, response Content-Type and, for ambiguous
+ * types, the first bytes of the body; progressive MP4 / WebM files by extension
+ * or media Content-Type. Used by the engine (ES import), the sniffer (dynamic
+ * import) and content/interceptor.js in the page (as page/stream-type.js, a
+ * classic-script copy scripts/build.js writes).
+ * Keep this file free of imports.
+ */
+
+const MIME_TYPES = {
+    'application/vnd.apple.mpegurl': 'hls',
+    'application/x-mpegurl': 'hls',
+    'audio/mpegurl': 'hls',
+    'audio/x-mpegurl': 'hls',
+    'video/x-mpegurl': 'hls',
+    'application/dash+xml': 'dash',
+    'video/vnd.mpeg.dash.mpd': 'dash'
+};
+
+// Servers that don't know the format label manifests as plain text
+const AMBIGUOUS_MIME_TYPES = ['text/plain'];
+// text/plain responses with these extensions are never sniffed
+const NOT_A_MANIFEST = /\.(js|css|html?|json|txt|vtt|srt|svg|png|jpe?g|gif|webp|ico|woff2?)$/i;
+
+// Progressive (single file) video. Only media element loads count: players
+// fetch DASH / HLS fMP4 segments with these types over XHR too.
+const MEDIA_MIME_TYPES = {
+    'video/mp4': 'mp4',
+    'video/x-m4v': 'mp4',
+    'audio/mp4': 'mp4',
+    'video/webm': 'webm',
+    'audio/webm': 'webm'
+};
+const MEDIA_EXTENSIONS = { '.mp4': 'mp4', '.m4v': 'mp4', '.webm': 'webm' };
+
+/**
+ * True for the progressive types ('mp4' | 'webm'), which have no manifest
+ */
+export function isProgressive(type) {
+    return type === 'mp4' || type === 'webm';
+}
+
+/**
+ * Type by the URL's path extension. The query and fragment are ignored, so
+ * `/a.mpd?sig=...` matches and `/foo.m3u8.html` or `?next=x.m3u8` do not.
+ * @returns {'hls'|'dash'|null}
+ */
+export function classifyUrl(url) {
+    let path;
+    try {
+        path = new URL(url, 'https://invalid/').pathname.toLowerCase();
+    } catch (e) {
+        return null;
+    }
+    if (path.endsWith('.m3u8')) return 'hls';
+    if (path.endsWith('.mpd')) return 'dash';
+    return null;
+}
+
+/**
+ * Progressive type by the URL's path extension (media element sources only)
+ * @returns {'mp4'|'webm'|null}
+ */
+export function classifyMediaUrl(url) {
+    let path;
+    try {
+        path = new URL(url, 'https://invalid/').pathname.toLowerCase();
+    } catch (e) {
+        return null;
+    }
+    const extension = Object.keys(MEDIA_EXTENSIONS).find(ext => path.endsWith(ext));
+    return extension ? MEDIA_EXTENSIONS[extension] : null;
+}
+
+/**
+ * Progressive type by a media element response's Content-Type
+ * @returns {'mp4'|'webm'|null}
+ */
+export function classifyMediaType(contentType) {
+    if (!contentType) return null;
+    return MEDIA_MIME_TYPES[contentType.split(';')[0].trim().toLowerCase()] || null;
+}
+
+/**
+ * Type by a Content-Type header value (parameters such as charset are ignored)
+ * @returns {'hls'|'dash'|'ambiguous'|null} 'ambiguous': sniff the body with sniffManifest()
+ */
+export function classifyContentType(contentType) {
+    if (!contentType) return null;
+    const mime = contentType.split(';')[0].trim().toLowerCase();
+    if (MIME_TYPES[mime]) return MIME_TYPES[mime];
+    return AMBIGUOUS_MIME_TYPES.includes(mime) ? 'ambiguous' : null;
+}
+
+/**
+ * Whether a response's body is worth sniffing: text/plain, from a URL whose
+ * extension says neither manifest nor some other known text format
+ */
+export function isSniffCandidate(url, contentType) {
+    if (classifyContentType(contentType) !== 'ambiguous' || classifyUrl(url)) return false;
+    try {
+        return !NOT_A_MANIFEST.test(new URL(url, 'https://invalid/').pathname);
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Type by the start of a body: `#EXTM3U` for HLS, an `<MPD` root element
+ * (after an optional XML declaration / comments) for DASH
+ * @param {string} text - The first few hundred characters are enough
+ * @returns {'hls'|'dash'|null}
+ */
+export function sniffManifest(text) {
+    const start = text.trimStart(); // Also drops a byte order mark
+    if (start.startsWith('#EXTM3U')) return 'hls';
+
+    const root = start.replace(/^(<\?[\s\S]*?\?>\s*|<!--[\s\S]*?-->\s*)*/, '');
+    if (/^<(\w+:)?MPD[\s>]/.test(root)) return 'dash';
+    return null;
+}
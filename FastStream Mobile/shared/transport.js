@@ -0,0 +1,76 @@
+/**
+ * FastStream Mobile - Binary Transport
+ * Moves segment bytes across extension messaging without turning them into
+ * JSON arrays of numbers. Two modes, picked per channel by a probe:
+ *   'clone'  - the channel structured-clones ArrayBuffers (Firefox runtime
+ *              messaging; window.postMessage everywhere, where they are transferred)
+ *   'base64' - the channel JSON-serialises (Chromium runtime messaging), so the
+ *              bytes travel as a base64 string, encoded in chunks
+ * Used by the engine (ES import) and the sniffer (dynamic import). Keep it free of imports.
+ */
+
+export const TRANSPORT_CLONE = 'clone';
+export const TRANSPORT_BASE64 = 'base64';
+
+const PROBE_BYTES = [0xfa, 0x57, 0x00, 0xff];
+const BASE64_CHUNK = 0x8000; // Keeps String.fromCharCode.apply under argument limits
+
+// Cross-realm safe (page -> content script objects fail instanceof in Firefox)
+function isArrayBuffer(value) {
+    return Object.prototype.toString.call(value) === '[object ArrayBuffer]';
+}
+
+/**
+ * Small buffer to send over a channel; pass what arrives to detectTransport()
+ */
+export function createProbe() {
+    return new Uint8Array(PROBE_BYTES).buffer;
+}
+
+/**
+ * @returns {'clone'|'base64'} The mode the channel the probe crossed supports
+ */
+export function detectTransport(probe) {
+    if (!isArrayBuffer(probe) || probe.byteLength !== PROBE_BYTES.length) return TRANSPORT_BASE64;
+    const bytes = new Uint8Array(probe);
+    return PROBE_BYTES.every((b, i) => bytes[i] === b) ? TRANSPORT_CLONE : TRANSPORT_BASE64;
+}
+
+/**
+ * Wrap bytes for a message
+ * @param {ArrayBuffer} buffer
+ * @param {'clone'|'base64'} mode
+ * @returns {{buffer: ArrayBuffer}|{base64: string}}
+ */
+export function encodeBinary(buffer, mode) {
+    if (mode === TRANSPORT_CLONE) return { buffer };
+
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += BASE64_CHUNK) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + BASE64_CHUNK));
+    }
+    return { base64: btoa(binary) };
+}
+
+/**
+ * Unwrap encodeBinary() output (either mode)
+ * @returns {ArrayBuffer}
+ */
+export function decodeBinary(payload) {
+    if (isArrayBuffer(payload.buffer)) return payload.buffer;
+
+    if (typeof payload.base64 === 'string') {
+        const binary = atob(payload.base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes.buffer;
+    }
+
+    // Number arrays from older content scripts still around after an update
+    if (Array.isArray(payload.buffer)) return new Uint8Array(payload.buffer).buffer;
+
+    throw new Error('Unrecognised binary payload');
+}
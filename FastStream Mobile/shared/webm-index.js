@@ -0,0 +1,250 @@
+/**
+ * FastStream Mobile - WebM Index
+ * Reads what the downloader needs to stream a WebM file through MSE: the
+ * header up to the first Cluster (the init segment), duration, track codecs,
+ * and the Cues that map times to Cluster byte offsets (for seeking). Clusters
+ * themselves are appended as-is. Used by the background downloader; keep it
+ * free of imports.
+ */
+
+const IDS = {
+    EBML: 0x1A45DFA3,
+    SEGMENT: 0x18538067,
+    SEEK_HEAD: 0x114D9B74,
+    SEEK: 0x4DBB,
+    SEEK_ID: 0x53AB,
+    SEEK_POSITION: 0x53AC,
+    INFO: 0x1549A966,
+    TIMECODE_SCALE: 0x2AD7B1,
+    DURATION: 0x4489,
+    TRACKS: 0x1654AE6B,
+    TRACK_ENTRY: 0xAE,
+    TRACK_TYPE: 0x83,
+    CODEC_ID: 0x86,
+    VIDEO: 0xE0,
+    PIXEL_WIDTH: 0xB0,
+    PIXEL_HEIGHT: 0xBA,
+    CUES: 0x1C53BB6B,
+    CUE_POINT: 0xBB,
+    CUE_TIME: 0xB3,
+    CUE_TRACK_POSITIONS: 0xB7,
+    CUE_CLUSTER_POSITION: 0xF1,
+    CLUSTER: 0x1F43B675
+};
+
+const TRACK_TYPES = { 1: 'video', 2: 'audio' };
+
+// Matroska CodecID -> MSE codec string
+const CODECS = {
+    V_VP8: 'vp8',
+    V_VP9: 'vp9',
+    V_AV1: 'av01.0.08M.08',
+    A_OPUS: 'opus',
+    A_VORBIS: 'vorbis'
+};
+
+/**
+ * EBML variable-length integer at `offset`
+ * @param {boolean} keepMarker - Element ids keep their length marker bit, sizes don't
+ * @returns {{value: number, length: number, unknown: boolean}|null} null if cut off
+ */
+function readVint(bytes, offset, keepMarker) {
+    if (offset >= bytes.byteLength) return null;
+    const first = bytes[offset];
+    let length = 1;
+    while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+    if (length > 8 || offset + length > bytes.byteLength) return null;
+
+    let value = keepMarker ? first : first & (0xff >> length);
+    let allOnes = value === (0xff >> length);
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + bytes[offset + i];
+        if (bytes[offset + i] !== 0xff) allOnes = false;
+    }
+    return { value, length, unknown: !keepMarker && allOnes };
+}
+
+/**
+ * Element header at `offset`
+ * @returns {{id: number, start: number, dataStart: number, end: number|null}|null}
+ *   end null for unknown-size elements (live-style Segments and Clusters)
+ */
+function readElement(bytes, offset) {
+    const id = readVint(bytes, offset, true);
+    const size = id && readVint(bytes, offset + id.length, false);
+    if (!size) return null;
+    const dataStart = offset + id.length + size.length;
+    return { id: id.value, start: offset, dataStart, end: size.unknown ? null : dataStart + size.value };
+}
+
+function* children(bytes, start, end) {
+    let offset = start;
+    while (offset < end) {
+        const element = readElement(bytes, offset);
+        if (!element || element.end === null || element.end > end) return;
+        yield element;
+        offset = element.end;
+    }
+}
+
+function readUint(bytes, element) {
+    let value = 0;
+    for (let i = element.dataStart; i < element.end; i++) value = value * 256 + bytes[i];
+    return value;
+}
+
+function readFloat(bytes, element) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset + element.dataStart, element.end - element.dataStart);
+    return element.end - element.dataStart === 4 ? view.getFloat32(0) : view.getFloat64(0);
+}
+
+function readString(bytes, element) {
+    return String.fromCharCode(...bytes.subarray(element.dataStart, element.end)).replace(/\0+$/, '');
+}
+
+/**
+ * Parse the start of a WebM file, up to its first Cluster
+ * @param {Uint8Array} bytes - The file's first bytes
+ * @returns {{complete: false, needed: number}|{complete: true, segmentStart: number,
+ *   segmentEnd: number|null, firstCluster: number, duration: number|null, timecodeScale: number,
+ *   tracks: Array<{type: string, codec: string|null, width?: number, height?: number}>,
+ *   cuesOffset: number|null, cues: Array<{time: number, offset: number}>|null}}
+ *   complete false: read at least `needed` bytes and try again
+ */
+export function parseWebmHeader(bytes) {
+    const ebml = readElement(bytes, 0);
+    if (!ebml || ebml.id !== IDS.EBML) throw new Error('Not a WebM file');
+    if (ebml.end === null || ebml.end > bytes.byteLength) return { complete: false, needed: (ebml.end || 0) + 4096 };
+
+    const segment = readElement(bytes, ebml.end);
+    if (!segment) return { complete: false, needed: ebml.end + 4096 };
+    if (segment.id !== IDS.SEGMENT) throw new Error('WebM without a Segment');
+
+    const result = {
+        complete: true,
+        segmentStart: segment.dataStart,
+        segmentEnd: segment.end,
+        firstCluster: null,
+        duration: null,
+        timecodeScale: 1000000,
+        tracks: [],
+        cuesOffset: null,
+        cues: null
+    };
+
+    let offset = segment.dataStart;
+    let rawDuration = null;
+    while (result.firstCluster === null) {
+        const element = readElement(bytes, offset);
+        if (!element) return { complete: false, needed: offset + 4096 };
+        if (element.id === IDS.CLUSTER) {
+            result.firstCluster = element.start;
+            break;
+        }
+        if (element.end === null) throw new Error('Unknown-size element before the first Cluster');
+        if (element.end > bytes.byteLength) {
+            // Level-1 elements (Tracks, a front Cues) must be read whole
+            return { complete: false, needed: element.end + 4096 };
+        }
+
+        switch (element.id) {
+            case IDS.SEEK_HEAD:
+                for (const seek of children(bytes, element.dataStart, element.end)) {
+                    if (seek.id !== IDS.SEEK) continue;
+                    let id = null;
+                    let position = null;
+                    for (const field of children(bytes, seek.dataStart, seek.end)) {
+                        if (field.id === IDS.SEEK_ID) id = readUint(bytes, field);
+                        if (field.id === IDS.SEEK_POSITION) position = readUint(bytes, field);
+                    }
+                    if (id === IDS.CUES && position !== null) result.cuesOffset = result.segmentStart + position;
+                }
+                break;
+
+            case IDS.INFO:
+                for (const field of children(bytes, element.dataStart, element.end)) {
+                    if (field.id === IDS.TIMECODE_SCALE) result.timecodeScale = readUint(bytes, field);
+                    if (field.id === IDS.DURATION) rawDuration = readFloat(bytes, field);
+                }
+                break;
+
+            case IDS.TRACKS:
+                for (const entry of children(bytes, element.dataStart, element.end)) {
+                    if (entry.id === IDS.TRACK_ENTRY) result.tracks.push(readTrackEntry(bytes, entry));
+                }
+                break;
+
+            case IDS.CUES:
+                result.cuesOffset = element.start;
+                break;
+        }
+        offset = element.end;
+    }
+
+    if (rawDuration !== null) result.duration = rawDuration * result.timecodeScale / 1e9;
+    if (result.cuesOffset !== null && result.cuesOffset < result.firstCluster) {
+        result.cues = parseWebmCues(bytes.subarray(result.cuesOffset), result.segmentStart, result.timecodeScale);
+    }
+    result.tracks = result.tracks.filter(track => track.type);
+    return result;
+}
+
+function readTrackEntry(bytes, entry) {
+    const track = { type: null, codec: null };
+    for (const field of children(bytes, entry.dataStart, entry.end)) {
+        if (field.id === IDS.TRACK_TYPE) track.type = TRACK_TYPES[readUint(bytes, field)] || null;
+        if (field.id === IDS.CODEC_ID) track.codec = CODECS[readString(bytes, field)] || null;
+        if (field.id === IDS.VIDEO) {
+            for (const video of children(bytes, field.dataStart, field.end)) {
+                if (video.id === IDS.PIXEL_WIDTH) track.width = readUint(bytes, video);
+                if (video.id === IDS.PIXEL_HEIGHT) track.height = readUint(bytes, video);
+            }
+        }
+    }
+    return track;
+}
+
+/**
+ * Read a Cues element: cue times (seconds) and the absolute byte offsets of
+ * their Clusters, sorted and deduplicated by Cluster
+ * @param {Uint8Array} bytes - Starting at the Cues element
+ * @param {number} segmentStart - Absolute offset of the Segment's data (cue positions are relative to it)
+ * @param {number} timecodeScale - Nanoseconds per timecode tick (Info)
+ * @returns {Array<{time: number, offset: number}>|null} null if `bytes` doesn't hold the whole element
+ */
+export function parseWebmCues(bytes, segmentStart, timecodeScale) {
+    const cues = readElement(bytes, 0);
+    if (!cues || cues.id !== IDS.CUES || cues.end === null || cues.end > bytes.byteLength) return null;
+
+    const points = new Map(); // cluster offset -> earliest time
+    for (const point of children(bytes, cues.dataStart, cues.end)) {
+        if (point.id !== IDS.CUE_POINT) continue;
+        let time = null;
+        let position = null;
+        for (const field of children(bytes, point.dataStart, point.end)) {
+            if (field.id === IDS.CUE_TIME) time = readUint(bytes, field);
+            if (field.id === IDS.CUE_TRACK_POSITIONS && position === null) {
+                for (const track of children(bytes, field.dataStart, field.end)) {
+                    if (track.id === IDS.CUE_CLUSTER_POSITION) position = readUint(bytes, track);
+                }
+            }
+        }
+        if (time === null || position === null) continue;
+
+        const offset = segmentStart + position;
+        const seconds = time * timecodeScale / 1e9;
+        if (!points.has(offset) || seconds < points.get(offset)) points.set(offset, seconds);
+    }
+
+    return [...points].map(([offset, time]) => ({ time, offset })).sort((a, b) => a.offset - b.offset);
+}
+
+/**
+ * Size of the element whose header starts `bytes` (e.g. a Cues found through
+ * the SeekHead), so the caller knows how much to fetch
+ * @returns {number|null}
+ */
+export function readElementSize(bytes) {
+    const element = readElement(bytes, 0);
+    return element && element.end !== null ? element.end : null;
+}